@@ -1,17 +1,36 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
 
   if (!token) return res.status(401).json({ message: 'Token required' });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Invalid token' });
-    req.user = user;
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    // 401 tells the client to use its refresh token; anything else is a bad token
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ message: 'Token expired' });
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+
+  try {
+    // Logged-out or revoked sessions stop working before the access token expires
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+    // Look the user up so disabled accounts and role changes take effect immediately
+    const user = await User.findById(payload.id);
+    if (!user || !user.active) return res.status(403).json({ message: 'Account disabled' });
+    req.user = { id: user._id.toString(), email: user.email, role: user.role, sid: payload.sid };
     next();
-  });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
 };
 
 module.exports = authenticateToken;
\ No newline at end of file
@@ -0,0 +1,54 @@
+// middleware/permissions.js
+// Each role gets its own permissions plus everything the roles below it have.
+const ROLES = ['cashier', 'manager', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  cashier: [
+    'items:read',
+    'customers:read',
+    'customers:create',
+    'bills:read',
+    'bills:create',
+    'payments:create',
+    'transactions:read',
+  ],
+  manager: [
+    'items:write',
+    'customers:write',
+    'refunds:create',
+    'reports:read',
+    'audit:read',
+    'stock:adjust',
+    'purchases:manage',
+    'balance:adjust',
+    'shifts:review',
+    'data:export',
+    'pricing:manage',
+  ],
+  admin: [
+    'items:delete',
+    'customers:delete',
+    'users:manage',
+    'ledger:reconcile',
+    'settings:manage',
+    'webhooks:manage',
+  ],
+};
+
+const permissionsFor = (role) => {
+  const level = ROLES.indexOf(role);
+  if (level === -1) return new Set();
+  return new Set(ROLES.slice(0, level + 1).flatMap(r => ROLE_PERMISSIONS[r]));
+};
+
+const hasPermission = (role, permission) => permissionsFor(role).has(permission);
+
+// Use after authenticateToken: app.post('/api/bills', authenticateToken, authorize('bills:create'), ...)
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = { ROLES, authorize, hasPermission };
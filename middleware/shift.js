@@ -0,0 +1,18 @@
+// middleware/shift.js
+const { findOpenShift } = require('../services/shifts');
+
+// Sets req.shift to the user's open shift. With required: true the request is refused
+// when there is none, so money can't be taken outside a shift (REQUIRE_SHIFT=false turns that off).
+const attachShift = ({ required = false } = {}) => async (req, res, next) => {
+  try {
+    req.shift = await findOpenShift(req.user.id);
+    if (!req.shift && required && process.env.REQUIRE_SHIFT !== 'false') {
+      return res.status(400).json({ error: 'Open a shift before taking bills or payments' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to look up shift' });
+  }
+};
+
+module.exports = attachShift;
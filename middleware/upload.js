@@ -0,0 +1,21 @@
+// middleware/upload.js
+const express = require('express');
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('file');
+const textBody = express.text({ type: ['text/csv', 'text/plain'], limit: MAX_UPLOAD_BYTES });
+
+// Sets req.csv from a multipart upload (field "file") or a raw text/csv request body
+const csvUpload = (req, res, next) => {
+  const parser = req.is('multipart/form-data') ? upload : textBody;
+  parser(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' || err.type === 'entity.too.large' ? 'File too large' : err.message });
+    req.csv = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : null;
+    if (!req.csv) return res.status(400).json({ error: 'CSV file required' });
+    next();
+  });
+};
+
+module.exports = csvUpload;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  userEmail: String,
+  action: { type: String, required: true }, // create, update, delete, ...
+  entityType: { type: String, required: true }, // Item, Customer, Bill, ...
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  changedFields: [String],
+  note: String, // why, when the change itself doesn't say
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
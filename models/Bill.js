@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const tenderSchema = require('./tenderSchema');
+const billLineSchema = require('./billLineSchema');
+
+const billSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  items: [billLineSchema],
+  priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' }, // the customer's list at billing time
+  subtotal: { type: Number, required: true },
+  promotionDiscount: { type: Number, default: 0 },
+  couponCode: String,
+  markup: { type: Number, default: 0 }, // Added markup
+  discount: { type: Number, default: 0 },
+  netTotal: Number,
+  taxTotal: { type: Number, default: 0 },
+  taxBreakdown: [{
+    _id: false,
+    rate: { type: Number, required: true },
+    net: { type: Number, required: true },
+    tax: { type: Number, required: true },
+  }],
+  grandTotal: { type: Number, required: true },
+  grandTotalCost: { type: Number, required: true },
+  paymentType: { type: String, enum: ['cash', 'credit'], required: true }, // cash = settled at the till, credit = on account
+  partialPayment: { type: Number, default: 0 }, // paid at the till, sum of tenders
+  tenders: [tenderSchema],
+  change: { type: Number, default: 0 },
+  status: { type: String, enum: ['completed', 'pending', 'partially_refunded', 'refunded'], default: 'pending' },
+  refundedTotal: { type: Number, default: 0 },
+  refundPaidOut: { type: Number, default: 0 }, // cash handed back by refunds of what was paid
+  amountPaid: Number,
+  amountDue: Number,
+  allocations: [{
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+    amount: { type: Number, required: true },
+    date: { type: Date, default: Date.now },
+  }],
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+billSchema.index({ createdAt: -1 });
+billSchema.index({ customerId: 1, createdAt: -1 });
+billSchema.index({ status: 1, createdAt: -1 });
+billSchema.index({ paymentType: 1, createdAt: -1 });
+billSchema.index({ customerId: 1, amountDue: 1, createdAt: 1 });
+billSchema.index({ shiftId: 1 });
+
+module.exports = mongoose.model('Bill', billSchema);
\ No newline at end of file
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Sequence per numbering series and year, e.g. _id 'invoice:2026'
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
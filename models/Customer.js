@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  phone: { type: String, required: true },
+  address: String,
+  accountNumber: { type: String, required: true, unique: true },
+  balance: { type: Number, default: 0 },
+  priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' }, // default list when unset
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+});
+
+customerSchema.index({ name: 1 });
+customerSchema.index({ phone: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const billLineSchema = require('./billLineSchema');
+
+// A quotation or a held (parked) cart. Priced like a bill but touches neither stock nor
+// the customer's balance until it is converted into a bill.
+const draftSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['quotation', 'held'], required: true },
+  number: { type: String, unique: true, sparse: true }, // quotations only, e.g. QT-2026-000012
+  label: String, // how a held cart is found again at the till, e.g. "Table 4"
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }, // optional until conversion
+  items: [billLineSchema], // priced when the draft was last saved
+  priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+  subtotal: { type: Number, required: true },
+  promotionDiscount: { type: Number, default: 0 },
+  couponCode: String,
+  markup: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  netTotal: Number,
+  taxTotal: { type: Number, default: 0 },
+  taxBreakdown: [{
+    _id: false,
+    rate: { type: Number, required: true },
+    net: { type: Number, required: true },
+    tax: { type: Number, required: true },
+  }],
+  grandTotal: { type: Number, required: true },
+  grandTotalCost: { type: Number, required: true },
+  notes: String,
+  status: { type: String, enum: ['open', 'converted'], default: 'open' },
+  expiresAt: { type: Date, required: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' }, // set on conversion
+  convertedAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+draftSchema.index({ kind: 1, status: 1, createdAt: -1 });
+draftSchema.index({ customerId: 1, createdAt: -1 });
+draftSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('Draft', draftSchema);
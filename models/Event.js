@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Outbox of domain events. Written in the same transaction as the change they describe,
+// then fanned out to listeners and webhook deliveries once committed.
+const eventSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // e.g. bill.created
+  data: mongoose.Schema.Types.Mixed,
+  dispatchedAt: Date, // set once handed to listeners and queued for webhooks
+  createdAt: { type: Date, default: Date.now },
+});
+
+eventSchema.index({ dispatchedAt: 1, createdAt: 1 });
+eventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Event', eventSchema);
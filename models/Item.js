@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const itemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set when this item is a variant
+  barcode: { type: String, unique: true, sparse: true },
+  plu: { type: String, unique: true, sparse: true, match: /^\d{5}$/ }, // item code on weighed/priced scale labels
+  costPrice: { type: Number, required: true }, // Renamed from buyingPrice
+  sellingPrice: { type: Number, required: true },
+  stock: { type: Number, default: 0 },
+  type: String,
+  size: String,
+  taxRate: { type: Number, default: 0 }, // For GST/tax
+  lowStockThreshold: { type: Number, default: 10 },
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+});
+
+itemSchema.index({ name: 1 });
+itemSchema.index({ type: 1, size: 1 });
+itemSchema.index({ productId: 1 });
+
+module.exports = mongoose.model('Item', itemSchema);
\ No newline at end of file
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One failed login from an IP address; the TTL index drops it after a day. Counted per IP
+// so guessing across many accounts is slowed down too.
+const loginFailureSchema = new mongoose.Schema({
+  ip: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+loginFailureSchema.index({ ip: 1, createdAt: -1 });
+loginFailureSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginFailure', loginFailureSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['low_stock'], required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item' },
+  message: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed,
+  readAt: Date,
+  readBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+notificationSchema.index({ readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
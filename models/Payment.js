@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const tenderSchema = require('./tenderSchema');
+
+const paymentSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  amount: { type: Number, required: true },
+  paymentMethod: { type: String, required: true }, // tender method code, or 'split'
+  tenders: [tenderSchema],
+  description: String,
+  allocations: [{
+    _id: false,
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true },
+    amount: { type: Number, required: true },
+  }],
+  unallocatedAmount: Number, // left over after allocation: customer credit
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+paymentSchema.index({ customerId: 1, createdAt: -1 });
+paymentSchema.index({ customerId: 1, unallocatedAmount: 1 });
+paymentSchema.index({ shiftId: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
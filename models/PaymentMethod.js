@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A tender type the till accepts. `code` is what bills and payments store.
+const paymentMethodSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  kind: { type: String, enum: ['cash', 'card', 'bank_transfer', 'mobile_wallet', 'other'], required: true },
+  requiresReference: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+});
+
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A named set of item prices. Each item can have several tiers; the tier with the highest
+// minQuantity not above the quantity bought applies; the lowest tier, when it starts at 1 or
+// less, also applies to fractional quantities below it.
+const priceListSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['retail', 'wholesale', 'customer'], required: true },
+  isDefault: { type: Boolean, default: false }, // used for customers without a list of their own
+  active: { type: Boolean, default: true },
+  validFrom: Date,
+  validTo: Date,
+  prices: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    minQuantity: { type: Number, default: 1, min: 0 },
+    price: { type: Number, required: true, min: 0 },
+  }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+priceListSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Parent of a group of variant Items (e.g. "Basmati Rice" in 1kg/5kg). Each variant is an
+// Item with its own stock, barcode and prices; the product only groups them.
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+productSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// buy_x_get_y:          buy `buyQuantity`, get `freeQuantity` of the same item free
+// percent_off:          `percent` off matching lines
+// amount_off_threshold: `amount` off the bill once it reaches `minSpend`
+// itemIds/categories (Item type) narrow which lines qualify; both empty means every item.
+// With a couponCode the promotion only applies when the code is given at the till.
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: ['buy_x_get_y', 'percent_off', 'amount_off_threshold'], required: true },
+  couponCode: { type: String, unique: true, sparse: true, uppercase: true, trim: true },
+  itemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }],
+  categories: [String],
+  buyQuantity: { type: Number, min: 1 },
+  freeQuantity: { type: Number, min: 1 },
+  percent: { type: Number, min: 0, max: 100 },
+  amount: { type: Number, min: 0 },
+  minSpend: { type: Number, min: 0, default: 0 },
+  startsAt: Date,
+  endsAt: Date,
+  usageLimit: { type: Number, min: 1 }, // bills that may use it; unlimited when unset
+  usageCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+promotionSchema.index({ active: 1, couponCode: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  items: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    quantity: { type: Number, required: true },
+    unitCost: { type: Number, required: true },
+    receivedQuantity: { type: Number, default: 0 },
+  }],
+  total: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'ordered',
+  },
+  receipts: [{
+    receivedAt: { type: Date, default: Date.now },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reference: String, // supplier invoice / delivery note number
+    items: [{
+      _id: false,
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+      quantity: { type: Number, required: true },
+      unitCost: { type: Number, required: true },
+    }],
+  }],
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
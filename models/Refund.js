@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  creditNoteNumber: { type: String, unique: true, sparse: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  amount: { type: Number, required: true },
+  items: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    lineId: mongoose.Schema.Types.ObjectId, // the bill line this was returned from
+    quantity: { type: Number, required: true },
+    amount: Number,
+  }],
+  reason: { type: String, required: true },
+  // What was already paid goes back as credit on the customer's payments, or as cash from the drawer
+  refundMethod: { type: String, enum: ['credit', 'cash'], default: 'credit' },
+  credited: { type: Number, default: 0 },
+  paidOut: { type: Number, default: 0 },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refundSchema.index({ billId: 1 });
+refundSchema.index({ customerId: 1, createdAt: -1 });
+refundSchema.index({ shiftId: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
\ No newline at end of file
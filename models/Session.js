@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token rotates on every use; hashes of
+// tokens already used are kept so a replayed (stolen) token can be detected.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  usedTokenHashes: { type: [String], index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String,
+  ip: String,
+  userAgent: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Shop-wide configuration stored as one document per key, e.g. key 'shop'
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
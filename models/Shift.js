@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A cashier's session at one register, from opening float to close-out
+const shiftSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  register: { type: String, required: true }, // till / counter name
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  openingFloat: { type: Number, required: true },
+  openedAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  countedCash: Number,
+  expectedCash: Number,
+  variance: Number, // countedCash - expectedCash
+  zReport: mongoose.Schema.Types.Mixed, // report as it stood at close-out
+  notes: String,
+});
+
+shiftSchema.index({ userId: 1, status: 1 });
+shiftSchema.index({ register: 1, status: 1 });
+shiftSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One entry per change to Item.stock. Summing quantity per item gives its current stock.
+const stockMovementSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  quantity: { type: Number, required: true }, // signed: negative takes stock out
+  type: {
+    type: String,
+    enum: ['opening', 'sale', 'refund', 'purchase', 'adjustment', 'damage', 'count'],
+    required: true,
+  },
+  sourceType: { type: String, enum: ['Bill', 'Refund', 'PurchaseOrder'] },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, refPath: 'sourceType' },
+  balanceAfter: { type: Number, required: true },
+  unitCost: Number,
+  note: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+stockMovementSchema.index({ itemId: 1, createdAt: -1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  contactName: String,
+  phone: String,
+  email: String,
+  address: String,
+  notes: String,
+  archived: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Supplier', supplierSchema);
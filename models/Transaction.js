@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const transactionSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  amount: { type: Number, required: true }, // positive raises what the customer owes
+  type: { type: String, enum: ['opening', 'bill', 'payment', 'refund', 'payout', 'adjustment'], required: true },
+  description: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+transactionSchema.index({ customerId: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, createdAt: -1 });
+transactionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
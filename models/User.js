@@ -1,9 +1,24 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../middleware/permissions');
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'admin' }
+  name: String,
+  role: { type: String, enum: ROLES, default: 'cashier' },
+  active: { type: Boolean, default: true },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Never send password hashes back to the client
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.failedLoginAttempts;
+    return ret;
+  },
 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
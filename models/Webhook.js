@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// An endpoint outside the app that receives events as signed POST requests
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  events: { type: [String], required: true }, // event types, or '*' for all
+  secret: { type: String, required: true, select: false }, // HMAC key for X-Webhook-Signature
+  description: String,
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
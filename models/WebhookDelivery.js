@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt. Pending deliveries are retried with
+// backoff until they succeed or run out of attempts; failed ones can be replayed.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' }, // none for test pings
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // body sent on every attempt
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date, // a worker is sending it
+  responseStatus: Number,
+  error: String,
+  attemptLog: [{
+    _id: false,
+    at: { type: Date, required: true },
+    responseStatus: Number,
+    responseBody: String, // first 1000 characters
+    error: String,
+    durationMs: Number,
+  }],
+  deliveredAt: Date,
+  replayedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
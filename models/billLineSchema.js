@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One priced line: shared by Bill.items and Draft.items
+const billLineSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  customPrice: { type: Number, required: true }, // Added customPrice
+  priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' }, // list unitPrice came from, if any
+  unitCost: { type: Number, required: true },
+  total: { type: Number, required: true },
+  promotions: [{
+    _id: false,
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+    name: String,
+    amount: { type: Number, required: true },
+  }],
+  promotionDiscount: { type: Number, default: 0 }, // taken off total before markup/discount
+  totalCost: { type: Number, required: true },
+  taxRate: { type: Number, default: 0 },
+  netTotal: Number, // total after bill markup/discount
+  taxAmount: { type: Number, default: 0 },
+  grossTotal: Number, // netTotal + taxAmount
+  refundedQuantity: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+});
+
+module.exports = billLineSchema;
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One way a customer paid: shared by Bill.tenders and Payment.tenders
+const tenderSchema = new mongoose.Schema({
+  method: { type: String, required: true }, // PaymentMethod code
+  kind: String,
+  amount: { type: Number, required: true }, // amount kept, after change
+  tendered: Number, // amount handed over
+  change: { type: Number, default: 0 },
+  reference: String, // card authorization, transfer or wallet transaction id
+}, { _id: false });
+
+module.exports = tenderSchema;
@@ -0,0 +1,34 @@
+// reconcile.js
+// Checks every customer's balance against bills, payments and refunds.
+//   node reconcile.js                    report only
+//   node reconcile.js --apply            also correct stored balances to the documents
+//   node reconcile.js --customer <id>    limit to one customer
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { reconcileBalances, applyAdjustments } = require('./services/reconciliation');
+
+dotenv.config();
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const customerIndex = args.indexOf('--customer');
+  const customerIds = customerIndex !== -1 ? [args[customerIndex + 1]] : undefined;
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/billing-system');
+  const { checked, discrepancies } = await reconcileBalances({ customerIds });
+
+  console.log(`Checked ${checked} customer(s), ${discrepancies.length} discrepancy(ies)`);
+  if (discrepancies.length) console.table(discrepancies.map(({ customerId, ...row }) => row));
+
+  if (apply) {
+    const corrections = await applyAdjustments(discrepancies, { note: 'Reconciliation correction (CLI)' });
+    console.log(`Corrected ${corrections.length} balance(s)`);
+  }
+  await mongoose.connection.close();
+};
+
+run().catch(err => {
+  console.error('Reconciliation failed:', err);
+  process.exit(1);
+});
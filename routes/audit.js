@@ -0,0 +1,28 @@
+// routes/audit.js
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { parseListOptions, dateRange, listPage } = require('../services/listing');
+const router = express.Router();
+
+// GET /api/audit?userId=&entityType=&entityId=&action=&from=&to=&page=&limit=
+router.get('/', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const { userId, entityType, entityId, action, from, to } = req.query;
+    const options = parseListOptions(req.query, { sortFields: ['createdAt'], defaultSort: { createdAt: -1 } });
+    const query = {};
+    if (userId) query.userId = userId;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+    const createdAt = dateRange(from, to);
+    if (createdAt) query.createdAt = createdAt;
+
+    res.json(await listPage(AuditLog, query, options));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
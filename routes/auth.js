@@ -1,37 +1,123 @@
 // routes/auth.js
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginFailure = require('../models/LoginFailure');
 const router = express.Router();
 const authenticateToken = require('../middleware/auth.js')
+const { authorize } = require('../middleware/permissions');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+
+// Brute-force protection: lock the account after this many failures in a row, and throttle
+// an IP address after too many failures across any accounts within the window
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_FAILED_LOGINS_PER_IP = Number(process.env.MAX_FAILED_LOGINS_PER_IP) || 20;
+const IP_WINDOW_MINUTES = Number(process.env.IP_WINDOW_MINUTES) || 15;
+
+// Before login req.user is not set yet; audit entries are written as the user logging in
+const asUser = (req, user) => ({ ip: req.ip, user: { id: user._id, email: user.email } });
+
+// Compared against when there is no usable account, so every failure takes as long as a
+// wrong password and the timing doesn't give away which emails exist
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const isIpThrottled = async (ip) => {
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60000);
+  return (await LoginFailure.countDocuments({ ip, createdAt: { $gt: since } })) >= MAX_FAILED_LOGINS_PER_IP;
+};
 
 // Login Route
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
-
+  if (!email || !password) return res.status(400).json({ message: 'Email and password required' });
 
   try {
+    if (await isIpThrottled(req.ip)) {
+      return res.status(429).json({ message: 'Too many failed logins. Try again later' });
+    }
+
+    // Unknown, disabled and locked accounts all get the same answer as a wrong password
     const user = await User.findOne({ email });
-    console.log(user)
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+    const usable = user && user.active && !(user.lockUntil && user.lockUntil > new Date());
+    const isMatch = await bcrypt.compare(password, usable ? user.password : DUMMY_HASH);
+    if (!usable) {
+      await LoginFailure.create({ ip: req.ip });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    if (!isMatch) {
+      await LoginFailure.create({ ip: req.ip });
+      const failed = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+      if (failed.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        await User.updateOne(
+          { _id: user._id },
+          { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60000) }
+        );
+        await recordAudit(asUser(req, user), { action: 'lock', entityType: 'User', entityId: user._id });
+      }
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+    }
+
+    const { token, refreshToken, session } = await createSession(user, req);
+    // Only the session id: the document holds the refresh token hash
+    await recordAudit(asUser(req, user), { action: 'login', entityType: 'Session', entityId: session._id });
+    res.json({ token, refreshToken, role: user.role });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ message: 'Refresh token required' });
 
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
-    });
+  try {
+    const result = await rotateSession(refreshToken);
+    if (!result) return res.status(401).json({ message: 'Invalid refresh token' });
+    await recordAudit(asUser(req, result.user), { action: 'refresh', entityType: 'Session', entityId: result.session._id });
+    res.json({ token: result.token, refreshToken: result.refreshToken, role: result.user.role });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout: ends the current session, or every session of this user with { all: true }
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.body?.all) {
+      await revokeAllSessions(req.user.id);
+      await recordAudit(req, { action: 'logout_all', entityType: 'User', entityId: req.user.id });
+      return res.json({ message: 'Logged out of all sessions' });
+    }
+    await revokeSession(req.user.sid);
+    await recordAudit(req, { action: 'logout', entityType: 'Session', entityId: req.user.sid });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ token });
+// Active sessions of the logged-in user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('ip userAgent createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions.map(session => ({ ...session.toObject(), current: session._id.toString() === req.user.sid })));
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Protected Route Example
-router.get('/admin', authenticateToken, (req, res) => {
-  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+router.get('/admin', authenticateToken, authorize('users:manage'), (req, res) => {
   res.json({ message: 'Welcome, Admin!' });
 });
 
@@ -0,0 +1,87 @@
+// routes/barcodes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { lookupBarcode, searchItems, assignBarcodes } = require('../services/barcodes');
+const { renderShelfLabels } = require('../services/documents');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const MAX_LABELS = 500;
+
+// Typeahead for the POS: GET /api/items/search?q=basmati 5&limit=10
+router.get('/items/search', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    res.json(await searchItems(req.query.q, limit));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to search items' });
+  }
+});
+
+// Scanned code -> { item, quantity, source }. Scale labels (weight/price) resolve through the item's PLU.
+router.get('/items/barcode/:code', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const result = await lookupBarcode(req.params.code.trim());
+    if (!result) return res.status(404).json({ error: 'No item for this barcode' });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to look up barcode' });
+  }
+});
+
+// Assign barcodes to items that have none: { itemIds?, format: 'ean13' | 'internal' }.
+// Without itemIds every active item lacking a barcode gets one.
+router.post('/items/barcodes', authenticateToken, authorize('items:write'), async (req, res) => {
+  try {
+    const { itemIds, format = 'ean13' } = req.body;
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || !itemIds.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({ error: 'itemIds must be an array of item ids' });
+    }
+    const filter = itemIds ? { _id: { $in: itemIds } } : { archived: { $ne: true } };
+    const items = await mongoose.connection.transaction(async (session) => {
+      const candidates = await Item.find({ ...filter, barcode: { $in: [null, ''] } }).session(session);
+      const assigned = await assignBarcodes(candidates, format, session);
+      for (const item of assigned) {
+        await recordAudit(req, { action: 'update', entityType: 'Item', before: { ...item.toObject(), barcode: undefined }, after: item }, session);
+      }
+      return assigned;
+    });
+    res.json(items.map(item => ({ itemId: item._id, name: item.name, barcode: item.barcode })));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to assign barcodes' });
+  }
+});
+
+// Printable shelf labels: { items: [{ itemId, copies? }] } -> PDF
+router.post('/items/labels', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'items required' });
+    for (const [index, entry] of items.entries()) {
+      if (!mongoose.isValidObjectId(entry.itemId)) return res.status(400).json({ error: `Item ${index}: itemId required` });
+      if (entry.copies !== undefined && (!Number.isInteger(entry.copies) || entry.copies < 1)) {
+        return res.status(400).json({ error: `Item ${index}: copies must be a positive integer` });
+      }
+    }
+    if (items.reduce((sum, entry) => sum + (entry.copies || 1), 0) > MAX_LABELS) {
+      return res.status(400).json({ error: `At most ${MAX_LABELS} labels per request` });
+    }
+
+    const found = await Item.find({ _id: { $in: items.map(entry => entry.itemId) } }).lean();
+    const byId = new Map(found.map(item => [item._id.toString(), item]));
+    const missing = items.filter(entry => !byId.has(String(entry.itemId)));
+    if (missing.length) return res.status(404).json({ error: `Item not found: ${missing[0].itemId}` });
+
+    const pdf = await renderShelfLabels(items.map(entry => ({ item: byId.get(String(entry.itemId)), copies: entry.copies || 1 })));
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'inline; filename="shelf-labels.pdf"');
+    res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to render labels' });
+  }
+});
+
+module.exports = router;
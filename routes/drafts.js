@@ -0,0 +1,214 @@
+// routes/drafts.js
+// Quotations and held carts. They are priced like bills but write nothing else: stock and
+// the customer's balance only change when a draft is converted through the normal billing flow.
+const express = require('express');
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const Customer = require('../models/Customer');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const attachShift = require('../middleware/shift');
+const { priceCart, createBill } = require('../services/billing');
+const { nextQuotationNumber } = require('../services/counters');
+const { parseListOptions, endOfDay, prefixMatch, listPage, badRequest, notFound } = require('../services/listing');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const KINDS = ['quotation', 'held'];
+const QUOTATION_VALID_DAYS = Number(process.env.QUOTATION_VALID_DAYS) || 14;
+const HELD_CART_HOURS = Number(process.env.HELD_CART_HOURS) || 24;
+
+const defaultExpiry = (kind) => new Date(Date.now() + (kind === 'quotation'
+  ? QUOTATION_VALID_DAYS * 24 * 60 * 60 * 1000
+  : HELD_CART_HOURS * 60 * 60 * 1000));
+
+// A date-only expiresAt keeps the draft until the end of that day
+const readExpiry = (value) => {
+  const date = new Date(endOfDay(value));
+  if (isNaN(date.getTime())) throw badRequest('Invalid expiresAt');
+  if (date <= new Date()) throw badRequest('expiresAt must be in the future');
+  return date;
+};
+
+// The draft's lines as POST /api/bills takes them. Price overrides are kept; list prices,
+// promotions and costs are read again when the draft is priced.
+const inputLines = (draft) => draft.items.map(line => ({
+  itemId: line.itemId,
+  quantity: line.quantity,
+  ...(line.customPrice !== line.unitPrice ? { customPrice: line.customPrice } : {}),
+}));
+
+// Draft fields for a cart, plus stock warnings; a draft may be saved while stock is short
+const priceDraft = async (req, { customerId, items, markup, discount, couponCode }) => {
+  if (!items?.length) throw badRequest('items must be a non-empty array');
+  const customer = customerId ? await Customer.findById(customerId) : null;
+  if (customerId && !customer) throw notFound(`Customer not found: ${customerId}`);
+  if (customer?.archived) throw badRequest(`Customer is archived: ${customer.name}`);
+
+  const { pricing, priceList, stockErrors } = await priceCart(customer, { items, markup, discount, couponCode }, req.user.role);
+  const { promotions, ...fields } = pricing;
+  return { fields: { ...fields, customerId: customer?._id, priceListId: priceList?._id }, stockErrors };
+};
+
+const isExpired = (draft) => draft.expiresAt < new Date();
+
+// ?kind=quotation|held&status=open|converted&expired=true|false&customerId=&q= (number or label prefix)
+router.get('/', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    const { kind, status, expired, customerId, q } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['createdAt', 'updatedAt', 'expiresAt', 'grandTotal'],
+      defaultSort: { createdAt: -1 },
+    });
+    const query = {};
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+    if (expired === 'true') query.expiresAt = { $lt: new Date() };
+    if (expired === 'false') query.expiresAt = { $gte: new Date() };
+    if (customerId) query.customerId = customerId;
+    if (q) query.$or = [{ number: prefixMatch(q.trim()) }, { label: prefixMatch(q.trim()) }];
+
+    res.json(await listPage(Draft, query, options, (find) => find.populate('customerId', 'name accountNumber')));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch drafts' });
+  }
+});
+
+router.get('/:id', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id)
+      .populate('customerId', 'name accountNumber phone address')
+      .populate('items.itemId', 'name type size barcode stock');
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    res.json(draft);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch draft' });
+  }
+});
+
+// { kind: quotation|held, label?, notes?, expiresAt?, customerId?, items, markup?, discount?, couponCode? }
+// Responds with the draft and any stockErrors, which are warnings here and only block conversion.
+router.post('/', authenticateToken, authorize('bills:create'), async (req, res) => {
+  try {
+    const { kind, label, notes, expiresAt } = req.body;
+    if (!KINDS.includes(kind)) throw badRequest(`kind must be one of ${KINDS.join(', ')}`);
+    const { fields, stockErrors } = await priceDraft(req, req.body);
+
+    const draft = await mongoose.connection.transaction(async (session) => {
+      const [created] = await Draft.create([{
+        ...fields,
+        kind,
+        number: kind === 'quotation' ? await nextQuotationNumber(session) : undefined,
+        label,
+        notes,
+        expiresAt: expiresAt ? readExpiry(expiresAt) : defaultExpiry(kind),
+        createdBy: req.user.id,
+      }], { session });
+      await recordAudit(req, { action: 'create', entityType: 'Draft', after: created }, session);
+      return created;
+    });
+    res.status(201).json({ ...draft.toObject(), stockErrors });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Resumes a draft: any of label, notes, expiresAt, customerId, items, markup, discount, couponCode.
+// The cart is priced again either way. Saving a held cart also renews its hold.
+router.put('/:id', authenticateToken, authorize('bills:create'), async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id);
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    if (draft.status !== 'open') return res.status(409).json({ error: 'Draft has already been converted' });
+
+    const body = req.body;
+    const { fields, stockErrors } = await priceDraft(req, {
+      customerId: body.customerId !== undefined ? body.customerId : draft.customerId,
+      items: body.items !== undefined ? body.items : inputLines(draft),
+      markup: body.markup !== undefined ? body.markup : draft.markup,
+      discount: body.discount !== undefined ? body.discount : draft.discount,
+      couponCode: body.couponCode !== undefined ? body.couponCode : draft.couponCode,
+    });
+    if (body.label !== undefined) fields.label = body.label;
+    if (body.notes !== undefined) fields.notes = body.notes;
+    if (body.expiresAt) fields.expiresAt = readExpiry(body.expiresAt);
+    else if (draft.kind === 'held') fields.expiresAt = defaultExpiry('held');
+    else if (isExpired(draft)) throw badRequest('Quotation has expired; set a new expiresAt');
+
+    const before = draft.toObject();
+    draft.set({ ...fields, updatedAt: new Date() });
+    await draft.save();
+    await recordAudit(req, { action: 'update', entityType: 'Draft', before, after: draft });
+    res.json({ ...draft.toObject(), stockErrors });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Discards an open draft. Converted drafts stay as the record of where their bill came from.
+router.delete('/:id', authenticateToken, authorize('bills:create'), async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id);
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    if (draft.status !== 'open') return res.status(409).json({ error: 'Converted drafts cannot be deleted' });
+
+    await draft.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Draft', before: draft });
+    res.json({ message: 'Draft deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete draft' });
+  }
+});
+
+// Turns a draft into a bill: { customerId? (required if the draft has none), paymentType?,
+// tenders | partialPayment, acceptPriceChanges? }. Stock and prices are checked again; if the
+// total changed since the draft was saved the new pricing is returned with a 409 unless
+// acceptPriceChanges is true. Stock shortages refuse the conversion like any bill.
+router.post('/:id/convert', authenticateToken, authorize('bills:create'), attachShift({ required: true }), async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id);
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    if (draft.status !== 'open') return res.status(409).json({ error: 'Draft has already been converted', billId: draft.billId });
+    if (isExpired(draft)) return res.status(400).json({ error: 'Draft has expired' });
+
+    const { paymentType, tenders, partialPayment, acceptPriceChanges } = req.body;
+    const customerId = req.body.customerId || draft.customerId;
+    if (!customerId) return res.status(400).json({ error: 'customerId required' });
+    const cart = {
+      customerId,
+      items: inputLines(draft),
+      markup: draft.markup,
+      discount: draft.discount,
+      couponCode: draft.couponCode,
+    };
+
+    const { fields } = await priceDraft(req, cart);
+    if (fields.grandTotal !== draft.grandTotal && acceptPriceChanges !== true) {
+      return res.status(409).json({
+        error: 'Prices changed since the draft was saved',
+        previousTotal: draft.grandTotal,
+        pricing: fields,
+      });
+    }
+
+    let converted;
+    const result = await createBill(req, { ...cart, paymentType, tenders, partialPayment }, {
+      onCreated: async (bill, session) => {
+        converted = await Draft.findOneAndUpdate(
+          { _id: draft._id, status: 'open' },
+          { status: 'converted', billId: bill._id, convertedAt: new Date(), updatedAt: new Date() },
+          { new: true, session }
+        );
+        // Two tills converting the same draft: the second bill rolls back
+        if (!converted) throw Object.assign(new Error('Draft has already been converted'), { status: 409 });
+        await recordAudit(req, { action: 'convert', entityType: 'Draft', before: draft, after: converted }, session);
+      },
+    });
+    res.status(201).json({ ...result, draft: converted });
+  } catch (err) {
+    console.error('Error converting draft:', err.message, err.stack);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// routes/exports.js
+const express = require('express');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { DATASETS, prepareExport, exportDataset } = require('../services/exports');
+const router = express.Router();
+
+// The datasets that can be exported and their columns
+router.get('/', authenticateToken, authorize('data:export'), (req, res) => {
+  res.json(Object.entries(DATASETS).map(([name, dataset]) => ({
+    dataset: name,
+    fields: Object.keys(dataset.columns),
+    dateFilter: Boolean(dataset.dateField),
+  })));
+});
+
+// GET /api/exports/:dataset?format=csv|xlsx&from=&to=&fields=a,b plus the dataset's own filters
+// (bills: customerId, status, paymentType, shiftId; items: type, size, lowStock, includeArchived; ...)
+router.get('/:dataset', authenticateToken, authorize('data:export'), async (req, res) => {
+  let prepared;
+  try {
+    prepared = prepareExport(req.params.dataset, req.query);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to export' });
+  }
+  await exportDataset(res, prepared);
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// routes/notifications.js
+const express = require('express');
+const Notification = require('../models/Notification');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+// GET /api/notifications?unread=true&type=low_stock
+router.get('/', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const query = {};
+    if (unread === 'true') query.readAt = null;
+    if (type) query.type = type;
+    const notifications = await Notification.find(query)
+      .populate('itemId', 'name stock lowStockThreshold')
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.json(notifications);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+router.put('/:id/read', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const before = await Notification.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Notification not found' });
+    const notification = await Notification.findByIdAndUpdate(
+      req.params.id,
+      { readAt: new Date(), readBy: req.user.id },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    await recordAudit(req, { action: 'read', entityType: 'Notification', before, after: notification });
+    res.json(notification);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// routes/paymentMethods.js
+const express = require('express');
+const PaymentMethod = require('../models/PaymentMethod');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { getPaymentMethods, DEFAULT_PAYMENT_METHODS } = require('../services/tenders');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getPaymentMethods());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payment methods' });
+  }
+});
+
+router.post('/', authenticateToken, authorize('settings:manage'), async (req, res) => {
+  try {
+    const { code, name, kind } = req.body;
+    if (!code || !name || !kind) return res.status(400).json({ error: 'code, name and kind required' });
+    // The first custom method replaces the built-in list, so carry the defaults over
+    if (!(await PaymentMethod.exists({}))) await PaymentMethod.insertMany(DEFAULT_PAYMENT_METHODS);
+    const method = await PaymentMethod.create(req.body);
+    await recordAudit(req, { action: 'create', entityType: 'PaymentMethod', after: method });
+    res.status(201).json(method);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Payment method code exists' : err.message });
+  }
+});
+
+// Edits name/kind/requiresReference/active; the code is what old bills refer to, so it stays
+router.put('/:code', authenticateToken, authorize('settings:manage'), async (req, res) => {
+  try {
+    const { code, ...updates } = req.body;
+    if (!(await PaymentMethod.exists({}))) await PaymentMethod.insertMany(DEFAULT_PAYMENT_METHODS);
+    const before = await PaymentMethod.findOne({ code: req.params.code });
+    if (!before) return res.status(404).json({ error: 'Payment method not found' });
+    const method = await PaymentMethod.findOneAndUpdate({ code: req.params.code }, updates, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'update', entityType: 'PaymentMethod', before, after: method });
+    res.json(method);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// routes/priceLists.js
+const express = require('express');
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { checkPriceList, resolveListPrices } = require('../services/priceLists');
+const { endOfDay } = require('../services/listing');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const FIELDS = ['name', 'kind', 'isDefault', 'active', 'validFrom', 'validTo', 'prices'];
+
+// Picks the editable fields; a date-only validTo covers that whole day
+const readBody = (body) => {
+  const fields = {};
+  for (const field of FIELDS) if (body[field] !== undefined) fields[field] = body[field];
+  if (fields.validFrom === '') fields.validFrom = null;
+  if (fields.validTo === '') fields.validTo = null;
+  if (fields.validTo) fields.validTo = endOfDay(fields.validTo);
+  return fields;
+};
+
+const checkItems = async (prices = []) => {
+  const ids = [...new Set(prices.map(tier => String(tier.itemId)))];
+  if (!ids.every(id => mongoose.isValidObjectId(id))) throw new Error('Every price needs a valid itemId');
+  const found = await Item.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) throw new Error('Some price list items were not found');
+};
+
+// Only one list can be the default
+const saveDefault = async (list, session) => {
+  if (list.isDefault) await PriceList.updateMany({ _id: { $ne: list._id }, isDefault: true }, { isDefault: false }, { session });
+};
+
+router.get('/', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { active: true };
+    if (req.query.kind) query.kind = req.query.kind;
+    const lists = await PriceList.find(query).select('-prices').sort({ name: 1 });
+    res.json(lists);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch price lists' });
+  }
+});
+
+router.get('/:id', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const list = await PriceList.findById(req.params.id).populate('prices.itemId', 'name type size barcode sellingPrice');
+    if (!list) return res.status(404).json({ error: 'Price list not found' });
+    const customers = await Customer.find({ priceListId: list._id }).select('name accountNumber');
+    res.json({ ...list.toObject(), customers });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch price list' });
+  }
+});
+
+// { name, kind: retail|wholesale|customer, isDefault?, validFrom?, validTo?, prices: [{ itemId, minQuantity?, price }] }
+router.post('/', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const fields = readBody(req.body);
+    checkPriceList(fields);
+    await checkItems(fields.prices);
+    const list = await mongoose.connection.transaction(async (session) => {
+      const [list] = await PriceList.create([fields], { session });
+      await saveDefault(list, session);
+      await recordAudit(req, { action: 'create', entityType: 'PriceList', after: list }, session);
+      return list;
+    });
+    res.status(201).json(list);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Price list name exists' : err.message });
+  }
+});
+
+// Replaces whatever is sent, prices included
+router.put('/:id', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const before = await PriceList.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Price list not found' });
+    const fields = readBody(req.body);
+    checkPriceList({ ...before.toObject(), ...fields });
+    if (fields.prices) await checkItems(fields.prices);
+
+    const list = await mongoose.connection.transaction(async (session) => {
+      const list = await PriceList.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true, session });
+      await saveDefault(list, session);
+      await recordAudit(req, { action: 'update', entityType: 'PriceList', before, after: list }, session);
+      return list;
+    });
+    res.json(list);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Price list name exists' : err.message });
+  }
+});
+
+// Assign the list to customers: { customerIds }. Use PUT /api/customers/:id with priceListId: null to unassign.
+router.post('/:id/customers', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const { customerIds } = req.body;
+    if (!Array.isArray(customerIds) || !customerIds.length || !customerIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'customerIds must be a non-empty array of customer ids' });
+    }
+    const list = await PriceList.findById(req.params.id);
+    if (!list) return res.status(404).json({ error: 'Price list not found' });
+
+    const customers = await mongoose.connection.transaction(async (session) => {
+      const found = await Customer.find({ _id: { $in: customerIds } }).session(session);
+      if (found.length !== new Set(customerIds.map(String)).size) throw new Error('Some customers were not found');
+      for (const customer of found) {
+        const before = customer.toObject();
+        customer.priceListId = list._id;
+        await customer.save({ session });
+        await recordAudit(req, { action: 'update', entityType: 'Customer', before, after: customer }, session);
+      }
+      return found;
+    });
+    res.json(customers);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// What a customer would pay: GET /api/price-lists/resolve/:customerId?itemId=&quantity=
+router.get('/resolve/:customerId', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const { itemId } = req.query;
+    const quantity = Number(req.query.quantity) || 1;
+    if (!mongoose.isValidObjectId(itemId)) return res.status(400).json({ error: 'itemId required' });
+    const [customer, item] = await Promise.all([Customer.findById(req.params.customerId), Item.findById(itemId)]);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+
+    const { prices } = await resolveListPrices(customer, [{ itemId, quantity }]);
+    const listed = prices.get(item._id.toString());
+    res.json({ itemId, quantity, price: listed ? listed.price : item.sellingPrice, priceListId: listed?.priceListId || null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to resolve price' });
+  }
+});
+
+module.exports = router;
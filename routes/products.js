@@ -0,0 +1,143 @@
+// routes/products.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Item = require('../models/Item');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { moveStock } = require('../services/stock');
+const { recordAudit } = require('../services/audit');
+const { parseListOptions, prefixMatch, listPage } = require('../services/listing');
+const router = express.Router();
+
+// A variant is an Item linked to the product. Its name defaults to the product name plus
+// type and size; opening stock goes through the ledger like POST /api/items.
+const createVariant = async (req, product, variant, index, session) => {
+  const { stock, archived, archivedAt, productId, ...fields } = variant;
+  if (!fields.costPrice || fields.costPrice <= 0) throw new Error(`Variant ${index}: valid costPrice is required`);
+  if (stock !== undefined && (typeof stock !== 'number' || stock < 0)) throw new Error(`Variant ${index}: stock must be non-negative`);
+  const name = fields.name || [product.name, fields.type, fields.size].filter(Boolean).join(' ');
+
+  const [created] = await Item.create([{ ...fields, name, productId: product._id, stock: 0 }], { session });
+  const item = stock
+    ? await moveStock({ itemId: created._id, quantity: stock, type: 'opening', unitCost: created.costPrice, userId: req.user.id }, session)
+    : created;
+  await recordAudit(req, { action: 'create', entityType: 'Item', after: item }, session);
+  return item;
+};
+
+router.get('/', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { sortFields: ['name', 'createdAt'], defaultSort: { name: 1 } });
+    const query = req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } };
+    if (req.query.q) query.name = prefixMatch(req.query.q);
+    res.json(await listPage(Product, query, options));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch products' });
+  }
+});
+
+router.get('/:id', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).lean();
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const variants = await Item.find({ productId: product._id }).sort({ type: 1, size: 1 });
+    res.json({ ...product, variants });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+// { name, description?, variants?: [{ type, size, costPrice, sellingPrice, barcode, stock, ... }] }
+router.post('/', authenticateToken, authorize('items:write'), async (req, res) => {
+  try {
+    const { name, description, variants = [] } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    if (!Array.isArray(variants)) return res.status(400).json({ error: 'variants must be an array' });
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const [product] = await Product.create([{ name, description }], { session });
+      await recordAudit(req, { action: 'create', entityType: 'Product', after: product }, session);
+      const items = [];
+      for (const [index, variant] of variants.entries()) items.push(await createVariant(req, product, variant, index, session));
+      return { ...product.toObject(), variants: items };
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Barcode exists' : err.message });
+  }
+});
+
+router.put('/:id', authenticateToken, authorize('items:write'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Product not found' });
+    const product = await Product.findByIdAndUpdate(req.params.id, { name, description }, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'update', entityType: 'Product', before, after: product });
+    res.json(product);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Add one new variant
+router.post('/:id/variants', authenticateToken, authorize('items:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (product.archived) return res.status(400).json({ error: `Product is archived: ${product.name}` });
+    const item = await mongoose.connection.transaction((session) => createVariant(req, product, req.body, 0, session));
+    res.status(201).json(item);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Barcode exists' : err.message });
+  }
+});
+
+// Group existing items under the product: { itemIds }
+router.put('/:id/variants', authenticateToken, authorize('items:write'), async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds) || !itemIds.length || !itemIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'itemIds must be a non-empty array of item ids' });
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    const items = await mongoose.connection.transaction(async (session) => {
+      const found = await Item.find({ _id: { $in: itemIds } }).session(session);
+      if (found.length !== new Set(itemIds.map(String)).size) throw new Error('Some items were not found');
+      for (const item of found) {
+        const before = item.toObject();
+        item.productId = product._id;
+        await item.save({ session });
+        await recordAudit(req, { action: 'update', entityType: 'Item', before, after: item }, session);
+      }
+      return found;
+    });
+    res.json(items);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Archiving a product archives its variants too
+router.delete('/:id', authenticateToken, authorize('items:delete'), async (req, res) => {
+  try {
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Product not found' });
+    if (before.archived) return res.status(400).json({ error: 'Product already archived' });
+    const archivedAt = new Date();
+    const product = await mongoose.connection.transaction(async (session) => {
+      const product = await Product.findByIdAndUpdate(req.params.id, { archived: true, archivedAt }, { new: true, session });
+      await Item.updateMany({ productId: product._id, archived: { $ne: true } }, { archived: true, archivedAt }, { session });
+      await recordAudit(req, { action: 'archive', entityType: 'Product', before, after: product }, session);
+      return product;
+    });
+    res.json({ message: 'Product archived', product });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to archive product' });
+  }
+});
+
+module.exports = router;
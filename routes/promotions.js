@@ -0,0 +1,102 @@
+// routes/promotions.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const Item = require('../models/Item');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { endOfDay } = require('../services/listing');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const FIELDS = [
+  'name', 'type', 'couponCode', 'itemIds', 'categories', 'buyQuantity', 'freeQuantity',
+  'percent', 'amount', 'minSpend', 'startsAt', 'endsAt', 'usageLimit', 'active',
+];
+
+// Picks the editable fields (usageCount is only ever counted by bills)
+const readBody = (body) => {
+  const fields = {};
+  for (const field of FIELDS) if (body[field] !== undefined) fields[field] = body[field];
+  if (fields.couponCode === '') fields.couponCode = undefined;
+  if (fields.endsAt) fields.endsAt = endOfDay(fields.endsAt);
+  return fields;
+};
+
+// The settings each type needs, beyond what the schema checks
+const checkPromotion = async (promotion) => {
+  if (promotion.type === 'buy_x_get_y' && !(promotion.buyQuantity >= 1 && promotion.freeQuantity >= 1)) {
+    throw new Error('buyQuantity and freeQuantity required for buy_x_get_y');
+  }
+  if (promotion.type === 'percent_off' && !(promotion.percent > 0)) throw new Error('percent required for percent_off');
+  if (promotion.type === 'amount_off_threshold' && !(promotion.amount > 0)) {
+    throw new Error('amount required for amount_off_threshold');
+  }
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.startsAt) > new Date(promotion.endsAt)) {
+    throw new Error('startsAt must be before endsAt');
+  }
+  const ids = (promotion.itemIds || []).map(String);
+  if (!ids.every(id => mongoose.isValidObjectId(id))) throw new Error('itemIds must be item ids');
+  if (ids.length && (await Item.countDocuments({ _id: { $in: ids } })) !== new Set(ids).size) {
+    throw new Error('Some promotion items were not found');
+  }
+};
+
+// ?active=true for promotions running now; ?coupons=true|false to include only coupons or automatic ones
+router.get('/', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true') {
+      const now = new Date();
+      query.active = true;
+      query.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+      ];
+    }
+    if (req.query.coupons === 'true') query.couponCode = { $ne: null };
+    if (req.query.coupons === 'false') query.couponCode = null;
+    res.json(await Promotion.find(query).sort({ createdAt: -1 }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+router.get('/:id', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).populate('itemIds', 'name type size barcode');
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+    res.json(promotion);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch promotion' });
+  }
+});
+
+router.post('/', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const fields = readBody(req.body);
+    await checkPromotion(fields);
+    const promotion = await Promotion.create(fields);
+    await recordAudit(req, { action: 'create', entityType: 'Promotion', after: promotion });
+    res.status(201).json(promotion);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Coupon code exists' : err.message });
+  }
+});
+
+// Ending a promotion early: PUT with { active: false }
+router.put('/:id', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const before = await Promotion.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Promotion not found' });
+    const fields = readBody(req.body);
+    await checkPromotion({ ...before.toObject(), ...fields });
+    const promotion = await Promotion.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'update', entityType: 'Promotion', before, after: promotion });
+    res.json(promotion);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Coupon code exists' : err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+// routes/purchases.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { moveStock } = require('../services/stock');
+const { recordAudit } = require('../services/audit');
+const { round2 } = require('../services/pricing');
+const { notFound } = require('../services/listing');
+const router = express.Router();
+
+const canManage = [authenticateToken, authorize('purchases:manage')];
+
+// Supplier Routes
+router.get('/suppliers', ...canManage, async (req, res) => {
+  try {
+    const query = req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } };
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+    res.json(suppliers);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+router.post('/suppliers', ...canManage, async (req, res) => {
+  try {
+    if (!req.body.name) return res.status(400).json({ error: 'Name required' });
+    const supplier = await Supplier.create(req.body);
+    await recordAudit(req, { action: 'create', entityType: 'Supplier', after: supplier });
+    res.status(201).json(supplier);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.put('/suppliers/:id', ...canManage, async (req, res) => {
+  try {
+    const before = await Supplier.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Supplier not found' });
+    const supplier = await Supplier.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'update', entityType: 'Supplier', before, after: supplier });
+    res.json(supplier);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Purchase Order Routes
+router.get('/purchase-orders', ...canManage, async (req, res) => {
+  try {
+    const { supplierId, status } = req.query;
+    const query = {};
+    if (supplierId) query.supplierId = supplierId;
+    if (status) query.status = status;
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplierId', 'name')
+      .sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+router.get('/purchase-orders/:id', ...canManage, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('supplierId', 'name phone email')
+      .populate('items.itemId', 'name type size barcode');
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+router.post('/purchase-orders', ...canManage, async (req, res) => {
+  try {
+    const { supplierId, items, notes } = req.body;
+    if (!supplierId || !items?.length) return res.status(400).json({ error: 'supplierId and items required' });
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) return res.status(404).json({ error: `Supplier not found: ${supplierId}` });
+
+    for (const [index, line] of items.entries()) {
+      if (typeof line.quantity !== 'number' || line.quantity <= 0) throw new Error(`Item ${index}: quantity must be positive`);
+      if (typeof line.unitCost !== 'number' || line.unitCost < 0) throw new Error(`Item ${index}: unitCost must be non-negative`);
+      if (!(await Item.exists({ _id: line.itemId }))) throw new Error(`Item ${index}: Item not found: ${line.itemId}`);
+    }
+
+    const order = await PurchaseOrder.create({
+      supplierId,
+      items: items.map(({ itemId, quantity, unitCost }) => ({ itemId, quantity, unitCost })),
+      total: round2(items.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)),
+      notes,
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, { action: 'create', entityType: 'PurchaseOrder', after: order });
+    res.status(201).json(order);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Goods received: { items: [{ lineId or itemId, quantity, unitCost? }], reference? }
+// Adds the stock and moves each item's costPrice to the weighted average of old and new stock.
+router.post('/purchase-orders/:id/receive', ...canManage, async (req, res) => {
+  try {
+    const { items, reference } = req.body;
+    if (!items?.length) return res.status(400).json({ error: 'items required' });
+
+    const order = await mongoose.connection.transaction(async (session) => {
+      const order = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!order) throw notFound('Purchase order not found');
+      if (['received', 'cancelled'].includes(order.status)) throw new Error(`Purchase order is ${order.status}`);
+
+      const received = [];
+      for (const [index, requested] of items.entries()) {
+        const line = requested.lineId
+          ? order.items.id(requested.lineId)
+          : order.items.find(l => l.itemId.toString() === String(requested.itemId) && l.receivedQuantity < l.quantity);
+        if (!line) throw new Error(`Item ${index}: not on this purchase order or already received`);
+        if (typeof requested.quantity !== 'number' || requested.quantity <= 0) {
+          throw new Error(`Item ${index}: quantity must be positive`);
+        }
+        if (line.receivedQuantity + requested.quantity > line.quantity) {
+          throw new Error(`Item ${index}: only ${line.quantity - line.receivedQuantity} left to receive`);
+        }
+        const unitCost = typeof requested.unitCost === 'number' ? requested.unitCost : line.unitCost;
+
+        const item = await Item.findById(line.itemId).session(session);
+        const onHand = Math.max(item.stock, 0);
+        const costPrice = onHand > 0
+          ? round2((onHand * item.costPrice + requested.quantity * unitCost) / (onHand + requested.quantity))
+          : unitCost;
+        await Item.updateOne({ _id: item._id }, { costPrice }, { session });
+
+        await moveStock({
+          itemId: line.itemId,
+          quantity: requested.quantity,
+          type: 'purchase',
+          sourceType: 'PurchaseOrder',
+          sourceId: order._id,
+          unitCost,
+          note: reference,
+          userId: req.user.id,
+        }, session);
+
+        line.receivedQuantity += requested.quantity;
+        received.push({ itemId: line.itemId, quantity: requested.quantity, unitCost });
+      }
+
+      order.receipts.push({ userId: req.user.id, reference, items: received });
+      order.status = order.items.every(l => l.receivedQuantity >= l.quantity) ? 'received' : 'partially_received';
+      await order.save({ session });
+      await recordAudit(req, { action: 'receive', entityType: 'PurchaseOrder', after: order }, session);
+      return order;
+    });
+
+    res.json(order);
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+router.post('/purchase-orders/:id/cancel', ...canManage, async (req, res) => {
+  try {
+    const before = await PurchaseOrder.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Purchase order not found' });
+    if (before.status !== 'ordered') {
+      return res.status(400).json({ error: 'Only orders with nothing received yet can be cancelled' });
+    }
+    const order = await PurchaseOrder.findByIdAndUpdate(req.params.id, { status: 'cancelled' }, { new: true });
+    await recordAudit(req, { action: 'cancel', entityType: 'PurchaseOrder', before, after: order });
+    res.json(order);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
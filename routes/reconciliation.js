@@ -0,0 +1,39 @@
+// routes/reconciliation.js
+const express = require('express');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { reconcileBalances, applyAdjustments } = require('../services/reconciliation');
+const router = express.Router();
+
+router.use(authenticateToken, authorize('ledger:reconcile'));
+
+// Report only: GET /api/reconciliation?customerId=
+router.get('/', async (req, res) => {
+  try {
+    const { customerId } = req.query;
+    res.json(await reconcileBalances({ customerIds: customerId ? [customerId] : undefined }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error reconciling balances:', err.message, err.stack);
+    res.status(500).json({ error: 'Failed to reconcile balances' });
+  }
+});
+
+// Corrects stored balances to the documents for the discrepancies found: { customerIds?: [], note? }
+router.post('/apply', async (req, res) => {
+  try {
+    const { customerIds, note } = req.body;
+    if (customerIds !== undefined && !Array.isArray(customerIds)) {
+      return res.status(400).json({ error: 'customerIds must be an array of customer ids' });
+    }
+    const { checked, discrepancies } = await reconcileBalances({ customerIds });
+    const corrections = await applyAdjustments(discrepancies, { note, req });
+    res.json({ checked, discrepancies, corrections });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error applying reconciliation:', err.message, err.stack);
+    res.status(500).json({ error: 'Failed to apply reconciliation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// routes/reports.js
+const express = require('express');
+const Item = require('../models/Item');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { round2 } = require('../services/pricing');
+const { buildAgingReport } = require('../services/accounts');
+const { dateRange, endOfDay } = require('../services/listing');
+const {
+  buildSalesReport,
+  buildSalesByItem,
+  buildSalesByCategory,
+  buildSalesByCustomer,
+  buildTaxLiability,
+  buildMarginReport,
+  buildMovers,
+  buildPromotionReport,
+} = require('../services/salesReports');
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales reports. All take ?period=daily|weekly|monthly or ?period=custom&startDate=&endDate=
+// and count every bill, cash or credit. See services/salesReports.js for how refunds are netted.
+const salesReport = (build, name) => async (req, res) => {
+  try {
+    res.json(await build(req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`Error building ${name}:`, err.message, err.stack);
+    res.status(500).json({ error: `Failed to build ${name}` });
+  }
+};
+
+// GET /api/reports/sales  totals per day, week or month
+router.get('/sales', authenticateToken, authorize('reports:read'), salesReport(buildSalesReport, 'sales report'));
+// GET /api/reports/sales/by-item
+router.get('/sales/by-item', authenticateToken, authorize('reports:read'), salesReport(buildSalesByItem, 'sales by item report'));
+// GET /api/reports/sales/by-category?groupBy=type  (default: type and size)
+router.get('/sales/by-category', authenticateToken, authorize('reports:read'), salesReport(buildSalesByCategory, 'sales by category report'));
+// GET /api/reports/sales/by-customer
+router.get('/sales/by-customer', authenticateToken, authorize('reports:read'), salesReport(buildSalesByCustomer, 'sales by customer report'));
+// GET /api/reports/tax  tax liability per rate
+router.get('/tax', authenticateToken, authorize('reports:read'), salesReport(buildTaxLiability, 'tax report'));
+// GET /api/reports/margin  gross margin per period, net of refunds
+router.get('/margin', authenticateToken, authorize('reports:read'), salesReport(buildMarginReport, 'margin report'));
+// GET /api/reports/movers?by=quantity|revenue&limit=10  top sellers and slow movers
+router.get('/movers', authenticateToken, authorize('reports:read'), salesReport(buildMovers, 'movers report'));
+// GET /api/reports/promotions  discount given per promotion
+router.get('/promotions', authenticateToken, authorize('reports:read'), salesReport(buildPromotionReport, 'promotion report'));
+
+// Reorder Report
+// GET /api/reports/reorder?days=30&leadTimeDays=7&coverDays=30&all=false
+// Velocity is the average net units sold per day over the last `days` days. The suggested
+// quantity covers lead time plus `coverDays` of sales and never leaves stock at or below the threshold.
+router.get('/reorder', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const days = Number(req.query.days) || 30;
+    const leadTimeDays = Number(req.query.leadTimeDays) || 7;
+    const coverDays = Number(req.query.coverDays) || 30;
+    if ([days, leadTimeDays, coverDays].some(n => n <= 0)) {
+      return res.status(400).json({ error: 'days, leadTimeDays and coverDays must be positive' });
+    }
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    const [items, sales] = await Promise.all([
+      Item.find({ archived: { $ne: true } }).lean(),
+      Bill.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.itemId',
+            soldQuantity: { $sum: { $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }] } },
+          },
+        },
+      ]),
+    ]);
+    const soldById = new Map(sales.map(sale => [sale._id.toString(), sale.soldQuantity]));
+
+    const rows = items.map(item => {
+      const soldQuantity = soldById.get(item._id.toString()) || 0;
+      const dailyVelocity = soldQuantity / days;
+      const target = Math.max(dailyVelocity * (leadTimeDays + coverDays), item.lowStockThreshold + 1);
+      return {
+        itemId: item._id,
+        name: item.name,
+        type: item.type,
+        size: item.size,
+        barcode: item.barcode,
+        stock: item.stock,
+        lowStockThreshold: item.lowStockThreshold,
+        lowStock: item.stock <= item.lowStockThreshold,
+        soldQuantity,
+        dailyVelocity: round2(dailyVelocity),
+        daysOfStockLeft: dailyVelocity > 0 ? round2(Math.max(item.stock, 0) / dailyVelocity) : null,
+        suggestedReorderQuantity: Math.max(0, Math.ceil(target - item.stock)),
+        estimatedCost: round2(Math.max(0, Math.ceil(target - item.stock)) * item.costPrice),
+      };
+    });
+
+    const report = req.query.all === 'true'
+      ? rows
+      : rows.filter(row => row.lowStock || (row.daysOfStockLeft !== null && row.daysOfStockLeft <= leadTimeDays));
+    report.sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity));
+
+    res.json({ days, leadTimeDays, coverDays, items: report });
+  } catch (err) {
+    console.error('Error building reorder report:', err.message, err.stack);
+    res.status(500).json({ error: 'Failed to build reorder report' });
+  }
+});
+
+// Tender Report
+// GET /api/reports/tenders?from=&to=  money taken per payment method, with cash change given
+router.get('/tenders', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const createdAt = dateRange(req.query.from, endOfDay(req.query.to));
+    const tenders = await Payment.aggregate([
+      { $match: createdAt ? { createdAt } : {} },
+      // Payments from before split tenders carry a single method and amount
+      {
+        $project: {
+          tenders: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$tenders', []] } }, 0] },
+              '$tenders',
+              [{ method: '$paymentMethod', amount: '$amount', change: 0 }],
+            ],
+          },
+        },
+      },
+      { $unwind: '$tenders' },
+      {
+        $group: {
+          _id: '$tenders.method',
+          total: { $sum: '$tenders.amount' },
+          change: { $sum: { $ifNull: ['$tenders.change', 0] } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { total: -1 } },
+      { $project: { _id: 0, method: '$_id', total: 1, change: 1, count: 1 } },
+    ]);
+    const total = round2(tenders.reduce((sum, t) => sum + t.total, 0));
+    res.json({ from: req.query.from || null, to: req.query.to || null, tenders, total });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error building tender report:', err.message, err.stack);
+    res.status(500).json({ error: 'Failed to build tender report' });
+  }
+});
+
+// Accounts Receivable Aging
+// GET /api/reports/aging?asOf=YYYY-MM-DD  buckets: current (<30 days), days30, days60, days90plus
+router.get('/aging', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(endOfDay(req.query.asOf)) : new Date();
+    if (isNaN(asOf.getTime())) return res.status(400).json({ error: 'Invalid asOf date' });
+    res.json(await buildAgingReport(asOf));
+  } catch (err) {
+    console.error('Error building aging report:', err.message, err.stack);
+    res.status(500).json({ error: 'Failed to build aging report' });
+  }
+});
+
+module.exports = router;
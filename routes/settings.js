@@ -0,0 +1,28 @@
+// routes/settings.js
+const express = require('express');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { getShopSettings, updateShopSettings } = require('../services/settings');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+// Every till needs the shop details for receipts, so the lowest role's bills:read is enough
+router.get('/shop', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    res.json(await getShopSettings());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch shop settings' });
+  }
+});
+
+router.put('/shop', authenticateToken, authorize('settings:manage'), async (req, res) => {
+  try {
+    const { before, after } = await updateShopSettings(req.body);
+    await recordAudit(req, { action: 'update', entityType: 'Setting', entityId: after._id, before: { value: before }, after: { value: after.value } });
+    res.json(after.value);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// routes/shifts.js
+const express = require('express');
+const Shift = require('../models/Shift');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize, hasPermission } = require('../middleware/permissions');
+const { findOpenShift, buildShiftReport } = require('../services/shifts');
+const { recordAudit } = require('../services/audit');
+const { parseListOptions, dateRange, endOfDay, listPage } = require('../services/listing');
+const { round2 } = require('../services/pricing');
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Cashiers see their own shifts; managers see everyone's
+const canView = (req, shift) =>
+  shift.userId?.toString() === req.user.id || hasPermission(req.user.role, 'shifts:review');
+
+// Open Shift: { register, openingFloat }
+router.post('/open', authorize('bills:create'), async (req, res) => {
+  try {
+    const { register, openingFloat, notes } = req.body;
+    if (!register) return res.status(400).json({ error: 'register required' });
+    if (typeof openingFloat !== 'number' || openingFloat < 0) {
+      return res.status(400).json({ error: 'openingFloat must be non-negative' });
+    }
+    if (await findOpenShift(req.user.id)) return res.status(400).json({ error: 'You already have an open shift' });
+    if (await Shift.exists({ register, status: 'open' })) {
+      return res.status(400).json({ error: `Register ${register} already has an open shift` });
+    }
+
+    const shift = await Shift.create({ userId: req.user.id, register, openingFloat, notes });
+    await recordAudit(req, { action: 'open', entityType: 'Shift', after: shift });
+    res.status(201).json(shift);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/current', async (req, res) => {
+  try {
+    const shift = await findOpenShift(req.user.id);
+    if (!shift) return res.status(404).json({ error: 'No open shift' });
+    res.json({ shift, report: await buildShiftReport(shift) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch shift' });
+  }
+});
+
+// Close Shift: { countedCash, notes? } produces the Z-report
+router.post('/:id/close', async (req, res) => {
+  try {
+    const { countedCash, notes } = req.body;
+    if (typeof countedCash !== 'number' || countedCash < 0) {
+      return res.status(400).json({ error: 'countedCash must be non-negative' });
+    }
+    const before = await Shift.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Shift not found' });
+    if (before.userId.toString() !== req.user.id && !hasPermission(req.user.role, 'shifts:review')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (before.status !== 'open') return res.status(400).json({ error: 'Shift already closed' });
+
+    const closedAt = new Date();
+    const zReport = await buildShiftReport({ ...before.toObject(), closedAt });
+    zReport.countedCash = countedCash;
+    zReport.variance = round2(countedCash - zReport.expectedCash);
+
+    const shift = await Shift.findOneAndUpdate(
+      { _id: before._id, status: 'open' },
+      {
+        status: 'closed',
+        closedAt,
+        closedBy: req.user.id,
+        countedCash,
+        expectedCash: zReport.expectedCash,
+        variance: zReport.variance,
+        zReport,
+        notes: notes || before.notes,
+      },
+      { new: true }
+    );
+    if (!shift) return res.status(400).json({ error: 'Shift already closed' });
+    await recordAudit(req, { action: 'close', entityType: 'Shift', before, after: shift });
+    res.json(shift);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// List Shifts (managers): ?userId=&register=&status=&from=&to=
+router.get('/', authorize('shifts:review'), async (req, res) => {
+  try {
+    const { userId, register, status, from, to } = req.query;
+    const options = parseListOptions(req.query, { sortFields: ['openedAt', 'closedAt', 'variance'], defaultSort: { openedAt: -1 } });
+    const query = {};
+    if (userId) query.userId = userId;
+    if (register) query.register = register;
+    if (status) query.status = status;
+    const openedAt = dateRange(from, endOfDay(to));
+    if (openedAt) query.openedAt = openedAt;
+    res.json(await listPage(Shift, query, options, (find) => find.select('-zReport').populate('userId', 'email name')));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch shifts' });
+  }
+});
+
+// One shift with its report: the stored Z-report once closed, live figures while open
+router.get('/:id', async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id).populate('userId', 'email name').populate('closedBy', 'email name');
+    if (!shift) return res.status(404).json({ error: 'Shift not found' });
+    // The raw id, since the populated user is null once the account is deleted
+    if (!canView(req, { userId: shift.populated('userId') ?? shift.userId?._id })) return res.status(403).json({ error: 'Access denied' });
+    const report = shift.status === 'closed' ? shift.zReport : await buildShiftReport(shift);
+    res.json({ shift, report });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch shift' });
+  }
+});
+
+module.exports = router;
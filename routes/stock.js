@@ -0,0 +1,94 @@
+// routes/stock.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { moveStock } = require('../services/stock');
+const { recordAudit } = require('../services/audit');
+const { dateRange, endOfDay } = require('../services/listing');
+const router = express.Router();
+
+// Movement history for one item, reconciled against its current stock
+router.get('/items/:id/movements', authenticateToken, authorize('items:read'), async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+
+    const { type, from, to } = req.query;
+    const query = { itemId: item._id };
+    if (type) query.type = type;
+    const createdAt = dateRange(from, endOfDay(to));
+    if (createdAt) query.createdAt = createdAt;
+
+    const [movements, [totals]] = await Promise.all([
+      StockMovement.find(query).populate('userId', 'email name').sort({ createdAt: -1 }),
+      StockMovement.aggregate([
+        { $match: { itemId: item._id } },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } },
+      ]),
+    ]);
+    const ledgerStock = totals ? totals.quantity : 0;
+
+    res.json({
+      item: { _id: item._id, name: item.name, stock: item.stock },
+      ledgerStock,
+      // Non-zero only for stock that predates the ledger or was changed outside it
+      unexplained: item.stock - ledgerStock,
+      reconciled: item.stock === ledgerStock,
+      movements,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch stock movements' });
+  }
+});
+
+// Manual stock changes:
+//   { type: 'adjustment', quantity: +/-n, note }  any correction
+//   { type: 'damage', quantity: n, note }         n units written off
+//   { type: 'count', countedQuantity: n, note }   physical count, stock set to n
+router.post('/items/:id/adjustments', authenticateToken, authorize('stock:adjust'), async (req, res) => {
+  try {
+    const { type, quantity, countedQuantity, note } = req.body;
+    if (!['adjustment', 'damage', 'count'].includes(type)) {
+      return res.status(400).json({ error: 'type must be adjustment, damage or count' });
+    }
+    if (!note) return res.status(400).json({ error: 'note required' });
+    if (type === 'count') {
+      if (typeof countedQuantity !== 'number' || countedQuantity < 0) {
+        return res.status(400).json({ error: 'countedQuantity must be non-negative' });
+      }
+    } else if (typeof quantity !== 'number' || quantity === 0 || (type === 'damage' && quantity < 0)) {
+      return res.status(400).json({ error: type === 'damage' ? 'quantity must be positive' : 'quantity must be non-zero' });
+    }
+
+    const before = await Item.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Item not found' });
+
+    const item = await mongoose.connection.transaction(async (session) => {
+      let delta = type === 'damage' ? -quantity : quantity;
+      if (type === 'count') {
+        const current = await Item.findById(req.params.id).session(session);
+        delta = countedQuantity - current.stock;
+        if (delta === 0) return current;
+      }
+      const updated = await moveStock({
+        itemId: req.params.id,
+        quantity: delta,
+        type,
+        unitCost: before.costPrice,
+        note,
+        userId: req.user.id,
+      }, session);
+      await recordAudit(req, { action: `stock_${type}`, entityType: 'Item', before, after: updated }, session);
+      return updated;
+    });
+
+    res.status(201).json(item);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
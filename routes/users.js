@@ -0,0 +1,112 @@
+// routes/users.js
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const authenticateToken = require('../middleware/auth.js');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { revokeAllSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+router.use(authenticateToken, authorize('users:manage'));
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Create User
+router.post('/', async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (role && !ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.create({ email, password: hashedPassword, name, role });
+    await recordAudit(req, { action: 'create', entityType: 'User', after: user });
+    res.status(201).json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? 'Email already in use' : err.message });
+  }
+});
+
+// List Users
+router.get('/', async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (active !== undefined) query.active = active === 'true';
+    const users = await User.find(query).sort({ email: 1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Change Role
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    if (req.params.id === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+
+    const before = await User.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'change_role', entityType: 'User', before, after: user });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Disable / Enable
+router.put('/:id/disable', async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(400).json({ error: 'You cannot disable your own account' });
+    const user = await User.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await revokeAllSessions(user._id, 'user disabled');
+    await recordAudit(req, { action: 'disable', entityType: 'User', entityId: user._id, before: { active: true }, after: { active: false } });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.put('/:id/enable', async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { active: true }, { new: true });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await recordAudit(req, { action: 'enable', entityType: 'User', entityId: user._id, before: { active: false }, after: { active: true } });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Reset Password
+router.put('/:id/password', async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { password: hashedPassword, failedLoginAttempts: 0, $unset: { lockUntil: 1 } },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await revokeAllSessions(user._id, 'password reset');
+    await recordAudit(req, { action: 'reset_password', entityType: 'User', entityId: user._id });
+    res.json({ message: 'Password reset' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+// routes/webhooks.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const authenticateToken = require('../middleware/auth.js');
+const { authorize } = require('../middleware/permissions');
+const { EVENT_TYPES } = require('../services/events');
+const { generateSecret, replayDelivery, sendTestDelivery } = require('../services/webhooks');
+const { parseListOptions, dateRange, endOfDay, listPage, badRequest } = require('../services/listing');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const FIELDS = ['url', 'events', 'description', 'active'];
+
+const readBody = (body) => {
+  const fields = {};
+  for (const field of FIELDS) if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+};
+
+const checkWebhook = (webhook) => {
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (err) {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be an absolute http(s) URL');
+  if (!Array.isArray(webhook.events) || !webhook.events.length) throw new Error('events must be a non-empty array');
+  const unknown = webhook.events.filter(type => type !== '*' && !EVENT_TYPES.includes(type));
+  if (unknown.length) throw new Error(`Unknown events: ${unknown.join(', ')}. Available: ${EVENT_TYPES.join(', ')}, *`);
+};
+
+// Ids from the query or body; a malformed one is a 400 rather than a cast error
+const readId = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) throw badRequest(`Invalid ${name}`);
+  return value;
+};
+
+// The secret is only ever shown when it is created or rotated, and never audited
+const withoutSecret = (webhook) => ({ ...webhook.toObject(), secret: undefined });
+
+router.get('/', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    res.json(await Webhook.find().sort({ createdAt: -1 }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+router.get('/events', authenticateToken, authorize('webhooks:manage'), (req, res) => {
+  res.json(EVENT_TYPES);
+});
+
+// The delivery log: ?webhookId=&status=pending|delivered|failed&type=&eventId=&from=&to=
+router.get('/deliveries', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhookId, status, type, eventId, from, to } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['createdAt', 'nextAttemptAt', 'attempts'],
+      defaultSort: { createdAt: -1 },
+    });
+    const query = {};
+    if (webhookId) query.webhookId = readId(webhookId, 'webhookId');
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (eventId) query.eventId = readId(eventId, 'eventId');
+    const createdAt = dateRange(from, endOfDay(to));
+    if (createdAt) query.createdAt = createdAt;
+
+    res.json(await listPage(WebhookDelivery, query, options, (find) => find.select('-payload -attemptLog').populate('webhookId', 'url description')));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch deliveries' });
+  }
+});
+
+router.get('/deliveries/:id', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Delivery not found' });
+    const delivery = await WebhookDelivery.findById(req.params.id).populate('webhookId', 'url description');
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch delivery' });
+  }
+});
+
+// Sends one delivery again now and responds with the outcome
+router.post('/deliveries/:id/replay', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Delivery not found' });
+    if (!(await WebhookDelivery.exists({ _id: req.params.id }))) return res.status(404).json({ error: 'Delivery not found' });
+    const delivery = await replayDelivery(req.params.id);
+    if (!delivery) return res.status(409).json({ error: 'Delivery is being sent right now' });
+    await recordAudit(req, { action: 'replay', entityType: 'WebhookDelivery', entityId: delivery._id });
+    res.json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to replay delivery' });
+  }
+});
+
+// Queues failed deliveries to be sent again: { webhookId?, type?, from?, to? }
+router.post('/deliveries/replay', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhookId, type, from, to } = req.body;
+    const query = { status: 'failed', eventId: { $ne: null } };
+    if (webhookId) query.webhookId = readId(webhookId, 'webhookId');
+    if (type) query.type = type;
+    const createdAt = dateRange(from, endOfDay(to));
+    if (createdAt) query.createdAt = createdAt;
+
+    const now = new Date();
+    const replayed = await mongoose.connection.transaction(async (session) => {
+      const ids = await WebhookDelivery.find(query).session(session).distinct('_id');
+      if (!ids.length) return 0;
+      const result = await WebhookDelivery.updateMany(
+        { _id: { $in: ids } },
+        { status: 'pending', attempts: 0, nextAttemptAt: now, replayedAt: now },
+        { session }
+      );
+      for (const id of ids) await recordAudit(req, { action: 'replay', entityType: 'WebhookDelivery', entityId: id }, session);
+      return result.modifiedCount;
+    });
+    res.json({ replayed });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to replay deliveries' });
+  }
+});
+
+// { url, events: ['bill.created', ...] or ['*'], description?, active? }. The response
+// carries the signing secret; it is not shown again.
+router.post('/', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const fields = readBody(req.body);
+    checkWebhook(fields);
+    const webhook = await Webhook.create({ ...fields, secret: generateSecret(), createdBy: req.user.id });
+    await recordAudit(req, { action: 'create', entityType: 'Webhook', after: withoutSecret(webhook) });
+    res.status(201).json(webhook);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.put('/:id', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    const before = await Webhook.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Webhook not found' });
+    const fields = readBody(req.body);
+    checkWebhook({ ...before.toObject(), ...fields });
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'update', entityType: 'Webhook', before, after: webhook });
+    res.json(webhook);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Pending deliveries to a removed webhook fail on their next attempt; the log is kept
+router.delete('/:id', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    await recordAudit(req, { action: 'delete', entityType: 'Webhook', before: webhook });
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Replaces the signing secret; the receiver must be updated with the new one
+router.post('/:id/rotate-secret', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret: generateSecret() }, { new: true }).select('+secret');
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    await recordAudit(req, { action: 'rotate_secret', entityType: 'Webhook', entityId: webhook._id });
+    res.json(webhook);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to rotate secret' });
+  }
+});
+
+// Sends a webhook.test ping right away and responds with the delivery
+router.post('/:id/test', authenticateToken, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    const delivery = await sendTestDelivery(webhook);
+    await recordAudit(req, { action: 'test', entityType: 'WebhookDelivery', after: delivery });
+    res.json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to send test delivery' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,23 @@ const morgan = require('morgan');
 const fs = require('fs');
 const path = require('path');
 const authenticateToken = require('./middleware/auth.js')
+const { authorize, hasPermission } = require('./middleware/permissions');
+const attachShift = require('./middleware/shift');
+const csvUpload = require('./middleware/upload');
+const { priceCart, createBill } = require('./services/billing');
+const { applyRefund } = require('./services/refunds');
+const { round2 } = require('./services/pricing');
+const { recordAudit } = require('./services/audit');
+const { moveStock } = require('./services/stock');
+const { parseListOptions, dateRange, endOfDay, prefixMatch, listPage } = require('./services/listing');
+const { buildStatement, changeBalance } = require('./services/accounts');
+const { allocatePayment, releaseAllocations, refreshAmountDue, overpaidAmount, openBillsFilter } = require('./services/allocation');
+const { normalizeTenders, summaryMethod } = require('./services/tenders');
+const { nextCreditNoteNumber, billLabel } = require('./services/counters');
+const { loadBillDocument, renderInvoicePdf, renderReceipt } = require('./services/documents');
+const { prepareExport, exportDataset } = require('./services/exports');
+const { runImport, duplicateKeyMessage } = require('./services/imports');
+const { publishEvent, paymentEventData, startEventWorker } = require('./services/events');
 
 dotenv.config();
 const app = express();
@@ -23,170 +40,245 @@ const mongoPath = path.join(__dirname, '../secure-db/data/db');
 
 // MongoDB connection
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    startEventWorker();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-// Item Schema
-const itemSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  barcode: { type: String, unique: true, sparse: true },
-  costPrice: { type: Number, required: true }, // Renamed from buyingPrice
-  sellingPrice: { type: Number, required: true },
-  stock: { type: Number, default: 0 },
-  type: String,
-  size: String,
-  taxRate: { type: Number, default: 0 }, // For GST/tax
-  lowStockThreshold: { type: Number, default: 10 },
-});
-const Item = mongoose.model('Item', itemSchema);
-
-// Customer Schema
-const customerSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  phone: { type: String, required: true },
-  address: String,
-  accountNumber: { type: String, required: true, unique: true },
-  balance: { type: Number, default: 0 },
-});
-const Customer = mongoose.model('Customer', customerSchema);
-
-// Bill Schema
-const billSchema = new mongoose.Schema({
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
-  items: [{
-    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
-    quantity: { type: Number, required: true },
-    unitPrice: { type: Number, required: true },
-    customPrice: { type: Number, required: true }, // Added customPrice
-    unitCost: { type: Number, required: true },
-    total: { type: Number, required: true },
-    totalCost: { type: Number, required: true },
-  }],
-  subtotal: { type: Number, required: true },
-  markup: { type: Number, default: 0 }, // Added markup
-  discount: { type: Number, default: 0 },
-  grandTotal: { type: Number, required: true },
-  grandTotalCost: { type: Number, required: true },
-  paymentType: { type: String, enum: ['cash', 'credit'], required: true }, // Simplified payment methods
-  partialPayment: { type: Number, default: 0 },
-  status: { type: String, enum: ['completed', 'pending'], default: 'pending' },
-  createdAt: { type: Date, default: Date.now },
-});
-const Bill = mongoose.model('Bill', billSchema);
-
-// Payment Schema
-const paymentSchema = new mongoose.Schema({
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
-  amount: { type: Number, required: true },
-  paymentMethod: { type: String, enum: ['cash', 'credit'], required: true },
-  description: String,
-  createdAt: { type: Date, default: Date.now },
-});
-const Payment = mongoose.model('Payment', paymentSchema);
-
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
-  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
-  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
-  amount: { type: Number, required: true },
-  type: { type: String, enum: ['bill', 'payment', 'refund'], required: true },
-  description: String,
-  createdAt: { type: Date, default: Date.now },
-});
-const Transaction = mongoose.model('Transaction', transactionSchema);
-
-// Refund Schema
-const refundSchema = new mongoose.Schema({
-  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true },
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
-  amount: { type: Number, required: true },
-  items: [{
-    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
-    quantity: { type: Number, required: true },
-  }],
-  reason: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-});
-const Refund = mongoose.model('Refund', refundSchema);
+// Models
+const Item = require('./models/Item');
+const Customer = require('./models/Customer');
+const Bill = require('./models/Bill');
+const Payment = require('./models/Payment');
+const Transaction = require('./models/Transaction');
+const Refund = require('./models/Refund');
+const PriceList = require('./models/PriceList');
 
 
 
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
-
+const userRoutes = require('./routes/users');
+app.use('/api/users', userRoutes);
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
+const barcodeRoutes = require('./routes/barcodes');
+app.use('/api', barcodeRoutes);
+const stockRoutes = require('./routes/stock');
+app.use('/api', stockRoutes);
+const purchaseRoutes = require('./routes/purchases');
+app.use('/api', purchaseRoutes);
+const reportRoutes = require('./routes/reports');
+app.use('/api/reports', reportRoutes);
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/notifications', notificationRoutes);
+const reconciliationRoutes = require('./routes/reconciliation');
+app.use('/api/reconciliation', reconciliationRoutes);
+const paymentMethodRoutes = require('./routes/paymentMethods');
+app.use('/api/payment-methods', paymentMethodRoutes);
+const shiftRoutes = require('./routes/shifts');
+app.use('/api/shifts', shiftRoutes);
+const productRoutes = require('./routes/products');
+app.use('/api/products', productRoutes);
+const priceListRoutes = require('./routes/priceLists');
+app.use('/api/price-lists', priceListRoutes);
+const promotionRoutes = require('./routes/promotions');
+app.use('/api/promotions', promotionRoutes);
+const draftRoutes = require('./routes/drafts');
+app.use('/api/drafts', draftRoutes);
+const settingRoutes = require('./routes/settings');
+app.use('/api/settings', settingRoutes);
+const exportRoutes = require('./routes/exports');
+app.use('/api/exports', exportRoutes);
+const webhookRoutes = require('./routes/webhooks');
+app.use('/api/webhooks', webhookRoutes);
+
+
+// Archived records are hidden unless ?includeArchived=true, or ?archived=true for the archive only
+const archiveFilter = (query) => {
+  if (query.archived === 'true') return { archived: true };
+  if (query.includeArchived === 'true') return {};
+  return { archived: { $ne: true } };
+};
 
 // Item Routes
-app.get('/api/items',authenticateToken, async (req, res) => {
+app.get('/api/items', authenticateToken, authorize('items:read'), async (req, res) => {
   try {
-    const { lowStock } = req.query;
-    const query = lowStock === 'true' ? { stock: { $lte: '$lowStockThreshold' } } : {};
-    const items = await Item.find(query);
-    res.json(items);
+    const { lowStock, type, size, barcode, productId, q } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['name', 'stock', 'sellingPrice', 'costPrice', 'type', 'size'],
+      defaultSort: { name: 1 },
+    });
+    // Compare each item's stock against its own threshold
+    const query = lowStock === 'true' ? { $expr: { $lte: ['$stock', '$lowStockThreshold'] } } : {};
+    if (type) query.type = type;
+    if (size) query.size = size;
+    if (barcode) query.barcode = barcode;
+    if (productId) query.productId = productId;
+    if (q) query.name = prefixMatch(q);
+    res.json(await listPage(Item, { ...query, ...archiveFilter(req.query) }, options));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch items' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch items' });
   }
 });
 
-app.post('/api/items',authenticateToken, async (req, res) => {
+app.post('/api/items', authenticateToken, authorize('items:write'), async (req, res) => {
   try {
     const { costPrice, sellingPrice } = req.body;
     if (!costPrice || costPrice <= 0) {
       return res.status(400).json({ error: 'Valid costPrice is required' });
     }
-    const item = new Item(req.body);
-    await item.save();
+    const { stock, archived, archivedAt, ...fields } = req.body;
+    if (stock !== undefined && (typeof stock !== 'number' || stock < 0)) {
+      return res.status(400).json({ error: 'stock must be non-negative' });
+    }
+    // Opening stock goes through the ledger like any other stock change
+    const item = await mongoose.connection.transaction(async (session) => {
+      const [created] = await Item.create([{ ...fields, stock: 0 }], { session });
+      if (!stock) return created;
+      return moveStock({
+        itemId: created._id,
+        quantity: stock,
+        type: 'opening',
+        unitCost: created.costPrice,
+        userId: req.user.id,
+      }, session);
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Item', after: item });
     res.status(201).json(item);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-app.put('/api/items/:id',authenticateToken, async (req, res) => {
+// Bulk import from CSV (multipart field "file" or a text/csv body). ?dryRun=true only reports
+// what would happen; ?upsert=true updates existing items (matched by barcode) instead of rejecting them.
+app.post('/api/items/import', authenticateToken, authorize('items:write'), csvUpload, async (req, res) => {
+  try {
+    const report = await runImport(req, 'items', req.csv, {
+      dryRun: req.query.dryRun === 'true',
+      upsert: req.query.upsert === 'true',
+    });
+    res.status(report.imported ? 201 : report.dryRun ? 200 : 400).json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? duplicateKeyMessage(err) : err.message });
+  }
+});
+
+app.put('/api/items/:id', authenticateToken, authorize('items:write'), async (req, res) => {
   try {
-    const item = await Item.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const { archived, archivedAt, stock, ...updates } = req.body;
+    const before = await Item.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Item not found' });
+    if (stock !== undefined && stock !== before.stock) {
+      return res.status(400).json({ error: 'Stock cannot be edited directly; record a stock adjustment instead' });
+    }
+    const item = await Item.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!item) return res.status(404).json({ error: 'Item not found' });
+    await recordAudit(req, { action: 'update', entityType: 'Item', before, after: item });
     res.json(item);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-app.delete('/api/items/:id',authenticateToken, async (req, res) => {
+app.delete('/api/items/:id', authenticateToken, authorize('items:delete'), async (req, res) => {
   try {
-    const item = await Item.findByIdAndDelete(req.params.id);
-    if (!item) return res.status(404).json({ error: 'Item not found' });
-    res.json({ message: 'Item deleted' });
+    // Items are archived, not removed, so old bills keep pointing at them
+    const before = await Item.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Item not found' });
+    if (before.archived) return res.status(400).json({ error: 'Item already archived' });
+    const item = await Item.findByIdAndUpdate(req.params.id, { archived: true, archivedAt: new Date() }, { new: true });
+    await recordAudit(req, { action: 'archive', entityType: 'Item', before, after: item });
+    res.json({ message: 'Item archived', item });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to archive item' });
+  }
+});
+
+app.put('/api/items/:id/restore', authenticateToken, authorize('items:delete'), async (req, res) => {
+  try {
+    const before = await Item.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Item not found' });
+    if (!before.archived) return res.status(400).json({ error: 'Item is not archived' });
+    const item = await Item.findByIdAndUpdate(req.params.id, { archived: false, $unset: { archivedAt: 1 } }, { new: true });
+    await recordAudit(req, { action: 'restore', entityType: 'Item', before, after: item });
+    res.json(item);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete item' });
+    res.status(500).json({ error: 'Failed to restore item' });
   }
 });
 
 // Customer Routes
-app.get('/api/customers',authenticateToken, async (req, res) => {
+app.get('/api/customers', authenticateToken, authorize('customers:read'), async (req, res) => {
   try {
-    const customers = await Customer.find();
-    res.json(customers);
+    const { name, phone, accountNumber } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['name', 'accountNumber', 'balance'],
+      defaultSort: { name: 1 },
+    });
+    const query = archiveFilter(req.query);
+    if (name) query.name = prefixMatch(name);
+    if (phone) query.phone = prefixMatch(phone);
+    if (accountNumber) query.accountNumber = accountNumber;
+    res.json(await listPage(Customer, query, options));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch customers' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch customers' });
   }
 });
 
-app.post('/api/customers',authenticateToken, async (req, res) => {
+app.post('/api/customers', authenticateToken, authorize('customers:create'), async (req, res) => {
   try {
-    const { name, phone, accountNumber, balance } = req.body;
+    const { name, phone, address, accountNumber, priceListId, balance = 0 } = req.body;
     if (!name || !phone || !accountNumber) {
       return res.status(400).json({ error: 'Name, phone, and account number required' });
     }
-    const customer = new Customer(req.body);
-    await customer.save();
+    if (typeof balance !== 'number' || !Number.isFinite(balance)) {
+      return res.status(400).json({ error: 'balance must be a number' });
+    }
+    // Setting an opening balance is a balance adjustment, which cashiers may not make
+    if (balance !== 0 && !hasPermission(req.user.role, 'balance:adjust')) {
+      return res.status(403).json({ error: 'Access denied: an opening balance needs balance:adjust' });
+    }
+    if (priceListId && !(await PriceList.exists({ _id: priceListId }))) {
+      return res.status(400).json({ error: 'Price list not found' });
+    }
+    // An opening balance goes on the ledger too, so statements start from the right figure
+    const customer = await mongoose.connection.transaction(async (session) => {
+      const [customer] = await Customer.create([{ name, phone, address, accountNumber, priceListId, balance }], { session });
+      if (customer.balance) {
+        await Transaction.create([{
+          customerId: customer._id,
+          amount: customer.balance,
+          type: 'opening',
+          description: 'Opening balance',
+        }], { session });
+      }
+      return customer;
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Customer', after: customer });
     res.status(201).json(customer);
   } catch (err) {
     res.status(400).json({ error: err.code === 11000 ? 'Account number exists' : err.message });
   }
 });
 
-app.get('/api/customers/:id',authenticateToken, async (req, res) => {
+// Bulk import from CSV (multipart field "file" or a text/csv body). ?dryRun=true only reports
+// what would happen; ?upsert=true updates existing customers (matched by accountNumber) instead of rejecting them.
+app.post('/api/customers/import', authenticateToken, authorize('customers:write'), csvUpload, async (req, res) => {
+  try {
+    const report = await runImport(req, 'customers', req.csv, {
+      dryRun: req.query.dryRun === 'true',
+      upsert: req.query.upsert === 'true',
+    });
+    res.status(report.imported ? 201 : report.dryRun ? 200 : 400).json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.code === 11000 ? duplicateKeyMessage(err) : err.message });
+  }
+});
+
+app.get('/api/customers/:id', authenticateToken, authorize('customers:read'), async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
     if (!customer) return res.status(404).json({ error: 'Customer not found' });
@@ -196,47 +288,134 @@ app.get('/api/customers/:id',authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/customers/:id',authenticateToken, async (req, res) => {
+// Manual balance adjustment: { amount, reason }. Positive amounts increase what the customer owes.
+app.post('/api/customers/:id/adjustments', authenticateToken, authorize('balance:adjust'), async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const { amount, reason } = req.body;
+    if (typeof amount !== 'number' || amount === 0) return res.status(400).json({ error: 'amount must be a non-zero number' });
+    if (!reason) return res.status(400).json({ error: 'reason required' });
+
+    const before = await Customer.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Customer not found' });
+
+    const { customer, transaction } = await mongoose.connection.transaction(async (session) => {
+      const [transaction] = await Transaction.create([{
+        customerId: before._id,
+        amount,
+        type: 'adjustment',
+        description: `Balance adjustment: ${reason}`,
+      }], { session });
+      const customer = await changeBalance(before._id, amount, { sourceType: 'Transaction', sourceId: transaction._id }, session);
+      await recordAudit(req, { action: 'adjust_balance', entityType: 'Customer', before, after: customer }, session);
+      return { customer, transaction };
+    });
+
+    res.status(201).json({ customer, transaction });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Account statement: GET /api/customers/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/customers/:id/statement', authenticateToken, authorize('customers:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Customer not found' });
+    const customer = await Customer.findById(req.params.id);
     if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const range = dateRange(req.query.from, endOfDay(req.query.to)) || {};
+    res.json(await buildStatement(customer, { from: range.$gte, to: range.$lte }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to build statement' });
+  }
+});
+
+app.put('/api/customers/:id', authenticateToken, authorize('customers:write'), async (req, res) => {
+  try {
+    const { archived, archivedAt, balance, ...updates } = req.body;
+    const before = await Customer.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Customer not found' });
+    if (balance !== undefined && balance !== before.balance) {
+      return res.status(400).json({ error: 'Balance cannot be edited directly; record a balance adjustment instead' });
+    }
+    if (updates.priceListId && !(await PriceList.exists({ _id: updates.priceListId }))) {
+      return res.status(400).json({ error: 'Price list not found' });
+    }
+    const customer = await Customer.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    await recordAudit(req, { action: 'update', entityType: 'Customer', before, after: customer });
     res.json(customer);
   } catch (err) {
     res.status(400).json({ error: err.code === 11000 ? 'Account number exists' : err.message });
   }
 });
 
-app.delete('/api/customers/:id',authenticateToken, async (req, res) => {
+app.delete('/api/customers/:id', authenticateToken, authorize('customers:delete'), async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndDelete(req.params.id);
-    if (!customer) return res.status(404).json({ error: 'Customer not found' });
-    await Transaction.deleteMany({ customerId: req.params.id });
-    await Bill.deleteMany({ customerId: req.params.id });
-    await Payment.deleteMany({ customerId: req.params.id });
-    res.json({ message: 'Customer deleted' });
+    // Customers are archived, not removed, so their sales history stays in reports
+    const before = await Customer.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Customer not found' });
+    if (before.archived) return res.status(400).json({ error: 'Customer already archived' });
+    if (Math.abs(before.balance) > 0.005) {
+      return res.status(400).json({ error: `Customer has an outstanding balance of ${before.balance}` });
+    }
+    // Anything still owing counts, including partially refunded bills with an amount due
+    const openBills = await Bill.countDocuments(openBillsFilter(before._id));
+    if (openBills) return res.status(400).json({ error: `Customer has ${openBills} open bill(s)` });
+
+    const customer = await Customer.findByIdAndUpdate(req.params.id, { archived: true, archivedAt: new Date() }, { new: true });
+    await recordAudit(req, { action: 'archive', entityType: 'Customer', before, after: customer });
+    res.json({ message: 'Customer archived', customer });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to archive customer' });
+  }
+});
+
+app.put('/api/customers/:id/restore', authenticateToken, authorize('customers:delete'), async (req, res) => {
+  try {
+    const before = await Customer.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Customer not found' });
+    if (!before.archived) return res.status(400).json({ error: 'Customer is not archived' });
+    const customer = await Customer.findByIdAndUpdate(req.params.id, { archived: false, $unset: { archivedAt: 1 } }, { new: true });
+    await recordAudit(req, { action: 'restore', entityType: 'Customer', before, after: customer });
+    res.json(customer);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete customer' });
+    res.status(500).json({ error: 'Failed to restore customer' });
   }
 });
 
 // Bill Routes
-app.get('/api/bills',authenticateToken, async (req, res) => {
+app.get('/api/bills', authenticateToken, authorize('bills:read'), async (req, res) => {
   try {
-    const bills = await Bill.find()
-      .populate('customerId', 'name accountNumber balance') // Added balance
-      .populate('items.itemId', 'name type size')
-      .sort({ createdAt: -1 });
-    res.json(bills);
+    const { customerId, status, paymentType, from, to, expand, invoiceNumber } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['createdAt', 'grandTotal', 'invoiceNumber'],
+      defaultSort: { createdAt: -1 },
+    });
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (status) query.status = status;
+    if (paymentType) query.paymentType = paymentType;
+    if (invoiceNumber) query.invoiceNumber = invoiceNumber.trim();
+    const createdAt = dateRange(from, to);
+    if (createdAt) query.createdAt = createdAt;
+
+    // Line item names only when asked for with ?expand=items, they're the expensive part
+    res.json(await listPage(Bill, query, options, (find) => {
+      find.populate('customerId', 'name accountNumber balance');
+      return expand === 'items' ? find.populate('items.itemId', 'name type size') : find;
+    }));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch bills' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch bills' });
   }
 });
 
-app.get('/api/bills/:id',authenticateToken, async (req, res) => {
+app.get('/api/bills/:id', authenticateToken, authorize('bills:read'), async (req, res) => {
   try {
     const bill = await Bill.findById(req.params.id)
-      .populate('customerId', 'name balance')
-      .populate('items.itemId', 'name type size');
+      .populate('customerId', 'name phone address accountNumber balance')
+      .populate('items.itemId', 'name type size')
+      .populate('allocations.paymentId', 'amount paymentMethod description createdAt');
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
     res.json(bill);
   } catch (err) {
@@ -244,146 +423,109 @@ app.get('/api/bills/:id',authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/bills',authenticateToken, async (req, res) => {
+// Printable A4 invoice
+app.get('/api/bills/:id/invoice.pdf', authenticateToken, authorize('bills:read'), async (req, res) => {
   try {
-    const { customerId, items, subtotal, markup, discount, grandTotal, paymentType, partialPayment } = req.body;
-
-    // Validate input
-    const errors = [];
-    if (!customerId) errors.push('customerId required');
-    if (!items?.length) errors.push('items must be a non-empty array');
-    if (typeof subtotal !== 'number' || subtotal <= 0) errors.push('subtotal must be positive');
-    if (typeof markup !== 'number' || markup < 0 || markup > 100) errors.push('markup must be 0–100');
-    if (typeof discount !== 'number' || discount < 0 || discount > 100) errors.push('discount must be 0–100');
-    if (typeof grandTotal !== 'number' || grandTotal <= 0) errors.push('grandTotal must be positive');
-    if (!['cash', 'credit'].includes(paymentType)) errors.push('paymentType must be cash or credit');
-    if (typeof partialPayment !== 'number' || partialPayment < 0) errors.push('partialPayment must be non-negative');
-    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
-
-    // Validate customer
-    const customer = await Customer.findById(customerId);
-    if (!customer) return res.status(404).json({ error: `Customer not found: ${customerId}` });
-
-    // Validate and process items
-    const populatedItems = await Promise.all(items.map(async (item, index) => {
-      if (!item.itemId || !item.quantity || !item.unitPrice || !item.customPrice || !item.total) {
-        throw new Error(`Item ${index}: itemId, quantity, unitPrice, customPrice, total required`);
-      }
-      const dbItem = await Item.findById(item.itemId);
-      if (!dbItem) throw new Error(`Item ${index}: Item not found: ${item.itemId}`);
-      if (dbItem.stock < item.quantity) throw new Error(`Item ${index}: Insufficient stock for ${dbItem.name}: ${dbItem.stock} available`);
-      if (!dbItem.costPrice && dbItem.costPrice !== 0) throw new Error(`Item ${index}: costPrice missing`);
-      return {
-        itemId: item.itemId,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        customPrice: item.customPrice,
-        unitCost: dbItem.costPrice,
-        total: item.quantity * item.customPrice,
-        totalCost: item.quantity * dbItem.costPrice,
-      };
-    }));
-
-    // Verify totals
-    const calculatedSubtotal = populatedItems.reduce((sum, item) => sum + item.total, 0);
-    if (Math.abs(calculatedSubtotal - subtotal) > 0.01) {
-      return res.status(400).json({ error: `Subtotal mismatch: provided ${subtotal}, calculated ${calculatedSubtotal}` });
-    }
-    const calculatedMarkedUpSubtotal = subtotal + (subtotal * markup / 100);
-    const calculatedGrandTotal = calculatedMarkedUpSubtotal - (calculatedMarkedUpSubtotal * discount / 100);
-    if (Math.abs(calculatedGrandTotal - grandTotal) > 0.01) {
-      return res.status(400).json({ error: `Grand total mismatch: provided ${grandTotal}, calculated ${calculatedGrandTotal}` });
-    }
-
-    // Create bill
-    const bill = new Bill({
-      customerId,
-      items: populatedItems,
-      subtotal,
-      markup,
-      discount,
-      grandTotal,
-      grandTotalCost: populatedItems.reduce((sum, item) => sum + item.totalCost, 0),
-      paymentType,
-      partialPayment,
-      status: partialPayment >= grandTotal ? 'completed' : 'pending',
-    });
-    await bill.save();
-
-    // Update customer balance
-    customer.balance += grandTotal - partialPayment;
-    await customer.save();
+    const doc = await loadBillDocument(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Bill not found' });
+    const pdf = await renderInvoicePdf(doc);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${doc.number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
 
-    // Update item stock
-    for (const item of populatedItems) {
-      await Item.findByIdAndUpdate(item.itemId, { $inc: { stock: -item.quantity } });
-    }
+// Thermal printer receipt: ?width=58|80 (mm, default 80), ?escpos=true for raw printer commands.
+// Only the escpos form carries a barcode; plain text prints the invoice number instead.
+app.get('/api/bills/:id/receipt.txt', authenticateToken, authorize('bills:read'), async (req, res) => {
+  try {
+    const paperWidth = req.query.width ? Number(req.query.width) : 80;
+    const escpos = req.query.escpos === 'true';
+    const doc = await loadBillDocument(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Bill not found' });
+    const receipt = renderReceipt(doc, { paperWidth, escpos });
+    res.set('Content-Type', escpos ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+    res.send(escpos ? Buffer.from(receipt, 'latin1') : receipt);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to render receipt' });
+  }
+});
 
-    // Create transactions
-    const transactions = [];
-    const billTransaction = new Transaction({
-      customerId,
-      billId: bill._id,
-      amount: grandTotal,
-      type: 'bill',
-      description: `Bill #${bill._id.toString().slice(-6)}`,
-    });
-    await billTransaction.save();
-    transactions.push(billTransaction);
+// Dry run of POST /api/bills: same pricing, nothing is written. customerId is optional;
+// without it the shop's default price list applies.
+app.post('/api/bills/quote', authenticateToken, authorize('bills:create'), async (req, res) => {
+  try {
+    const { customerId, items, markup, discount, couponCode } = req.body;
+    if (!items?.length) return res.status(400).json({ error: 'items must be a non-empty array' });
+    const customer = customerId ? await Customer.findById(customerId) : null;
+    if (customerId && !customer) return res.status(404).json({ error: `Customer not found: ${customerId}` });
 
-    if (partialPayment > 0) {
-      const payment = new Payment({
-        customerId,
-        amount: partialPayment,
-        paymentMethod: paymentType,
-        description: `Payment for Bill #${bill._id.toString().slice(-6)}`,
-      });
-      await payment.save();
-      const paymentTransaction = new Transaction({
-        customerId,
-        billId: bill._id,
-        paymentId: payment._id,
-        amount: -partialPayment,
-        type: 'payment',
-        description: `Payment for Bill #${bill._id.toString().slice(-6)}`,
-      });
-      await paymentTransaction.save();
-      transactions.push(paymentTransaction);
-    }
+    const { pricing, priceList, stockErrors } = await priceCart(customer, { items, markup, discount, couponCode }, req.user.role);
+    res.json({ ...pricing, priceListId: priceList?._id, priceListName: priceList?.name, stockErrors });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    res.status(201).json({ bill, transactions });
+app.post('/api/bills', authenticateToken, authorize('bills:create'), attachShift({ required: true }), async (req, res) => {
+  try {
+    res.status(201).json(await createBill(req, req.body));
   } catch (err) {
     console.error('Error creating bill:', err.message, err.stack);
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
+
 // Payment Routes
-app.post('/api/payments',authenticateToken, async (req, res) => {
+app.post('/api/payments', authenticateToken, authorize('payments:create'), attachShift({ required: true }), async (req, res) => {
   try {
-    const { customerId, amount, paymentMethod, description } = req.body;
-    if (!customerId || !amount || amount <= 0 || !['cash', 'credit'].includes(paymentMethod)) {
-      return res.status(400).json({ error: 'Invalid payment data' });
+    // tenders: [{ method, amount, reference? }], or a single amount + paymentMethod
+    // allocations: optional [{ billId, amount }]; without it the payment settles the oldest bills first
+    const { customerId, paymentMethod, description, allocations, tenders } = req.body;
+    if (!customerId) return res.status(400).json({ error: 'customerId required' });
+    if (!tenders && (!req.body.amount || req.body.amount <= 0 || !paymentMethod)) {
+      return res.status(400).json({ error: 'tenders, or amount and paymentMethod, required' });
+    }
+    const tendered = await normalizeTenders(tenders || [{ method: paymentMethod, amount: req.body.amount, reference: req.body.reference }]);
+    const amount = tendered.paidTotal;
+    if (amount <= 0) return res.status(400).json({ error: 'Payment amount must be positive' });
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'allocations must be an array of { billId, amount }' });
     }
     const customer = await Customer.findById(customerId);
     if (!customer) return res.status(404).json({ error: `Customer not found: ${customerId}` });
-    const payment = new Payment({
-      customerId,
-      amount,
-      paymentMethod,
-      description,
+    const { payment, transaction, bills } = await mongoose.connection.transaction(async (session) => {
+      const [payment] = await Payment.create([{
+        customerId,
+        amount,
+        paymentMethod: summaryMethod(tendered.tenders),
+        tenders: tendered.tenders,
+        description,
+        unallocatedAmount: amount,
+        shiftId: req.shift?._id,
+        createdBy: req.user.id,
+      }], { session });
+      const bills = await allocatePayment(payment, { allocations, session });
+      await changeBalance(customerId, -amount, { sourceType: 'Payment', sourceId: payment._id }, session);
+      await publishEvent('payment.recorded', paymentEventData(payment), session);
+      const [transaction] = await Transaction.create([{
+        customerId,
+        paymentId: payment._id,
+        amount: -amount,
+        type: 'payment',
+        description: description || `Payment of ${amount}`,
+      }], { session });
+      await recordAudit(req, { action: 'create', entityType: 'Payment', after: payment }, session);
+      return { payment, transaction, bills };
     });
-    await payment.save();
-    customer.balance -= amount;
-    await customer.save();
-    const transaction = new Transaction({
-      customerId,
-      paymentId: payment._id,
-      amount: -amount,
-      type: 'payment',
-      description: description || `Payment of ${amount}`,
+    res.status(201).json({
+      payment,
+      transaction,
+      settledBills: bills.map(bill => ({ _id: bill._id, amountPaid: bill.amountPaid, amountDue: bill.amountDue, status: bill.status })),
+      credit: payment.unallocatedAmount,
     });
-    await transaction.save();
-    res.status(201).json({ payment, transaction });
   } catch (err) {
     console.error('Error recording payment:', err.message, err.stack);
     res.status(400).json({ error: err.message });
@@ -391,191 +533,168 @@ app.post('/api/payments',authenticateToken, async (req, res) => {
 });
 
 // Refund Routes
-app.post('/api/refunds',authenticateToken, async (req, res) => {
+app.post('/api/refunds', authenticateToken, authorize('refunds:create'), attachShift(), async (req, res) => {
   try {
-    const { billId, customerId, amount, items, reason } = req.body;
-    if (!billId || !customerId || !amount || amount <= 0 || !items?.length || !reason) {
-      return res.status(400).json({ error: 'Invalid refund data' });
+    // refundMethod: credit (default) leaves what was already paid on account as credit the
+    // customer can spend; cash hands it back from the drawer of the open shift
+    const { billId, customerId, items, reason, refundMethod = 'credit' } = req.body;
+    if (!billId || !items?.length || !reason) {
+      return res.status(400).json({ error: 'billId, items and reason required' });
     }
-
-    const bill = await Bill.findById(billId);
-    if (!bill || bill.status === 'refunded') {
-      return res.status(400).json({ error: 'Bill not found or already refunded' });
+    if (!['credit', 'cash'].includes(refundMethod)) return res.status(400).json({ error: 'refundMethod must be credit or cash' });
+    if (refundMethod === 'cash' && !req.shift && process.env.REQUIRE_SHIFT !== 'false') {
+      return res.status(400).json({ error: 'Open a shift before paying out cash refunds' });
     }
 
-    const customer = await Customer.findById(customerId);
-    if (!customer) return res.status(404).json({ error: `Customer not found: ${customerId}` });
-
-    // Validate items
-    for (const item of items) {
-      const billItem = bill.items.find(bi => bi.itemId.toString() === item.itemId.toString());
-      if (!billItem || billItem.quantity < item.quantity) {
-        return res.status(400).json({ error: `Invalid refund quantity for item ${item.itemId}` });
-      }
-      await Item.findByIdAndUpdate(item.itemId, { $inc: { stock: item.quantity } });
+    const existing = await Bill.findById(billId);
+    if (!existing) return res.status(404).json({ error: `Bill not found: ${billId}` });
+    if (customerId && customerId.toString() !== existing.customerId.toString()) {
+      return res.status(400).json({ error: 'Bill does not belong to this customer' });
     }
+    if (existing.status === 'refunded') return res.status(400).json({ error: 'Bill already fully refunded' });
+
+    const { refund, transaction, payout } = await mongoose.connection.transaction(async (session) => {
+      // Re-read inside the transaction: a concurrent refund on the same bill
+      // makes one of the two saves conflict and retry against fresh quantities
+      const bill = await Bill.findById(billId).session(session);
+      const billBefore = bill.toObject();
+      const { items: refundItems, amount } = applyRefund(bill, items);
+      refreshAmountDue(bill);
+
+      // Only the part of the refund that was already paid is given back; the rest just
+      // reduces what the customer still owes on the bill
+      const overpaid = overpaidAmount(bill);
+      const credited = refundMethod === 'credit' ? await releaseAllocations(bill, overpaid, { session }) : 0;
+      const paidOut = refundMethod === 'cash' ? overpaid : 0;
+      bill.refundPaidOut = round2((bill.refundPaidOut || 0) + paidOut);
+      await bill.save({ session });
+
+      const [refund] = await Refund.create([{
+        creditNoteNumber: await nextCreditNoteNumber(session),
+        billId,
+        customerId: bill.customerId,
+        amount,
+        items: refundItems,
+        reason,
+        refundMethod,
+        credited,
+        paidOut,
+        shiftId: req.shift?._id,
+        createdBy: req.user.id,
+      }], { session });
+
+      for (const item of refundItems) {
+        await moveStock({
+          itemId: item.itemId,
+          quantity: item.quantity,
+          type: 'refund',
+          sourceType: 'Refund',
+          sourceId: refund._id,
+          userId: req.user.id,
+        }, session);
+      }
 
-    const refund = new Refund({
-      billId,
-      customerId,
-      amount,
-      items,
-      reason,
-    });
-    await refund.save();
-
-    bill.status = 'refunded';
-    await bill.save();
-
-    customer.balance -= amount;
-    await customer.save();
+      await changeBalance(bill.customerId, round2(paidOut - amount), { sourceType: 'Refund', sourceId: refund._id }, session);
+      await publishEvent('refund.created', {
+        refundId: refund._id,
+        creditNoteNumber: refund.creditNoteNumber,
+        billId,
+        invoiceNumber: bill.invoiceNumber,
+        customerId: bill.customerId,
+        amount,
+        reason,
+        refundMethod,
+        credited,
+        paidOut,
+        items: refundItems.map(({ itemId, quantity, amount }) => ({ itemId, quantity, amount })),
+      }, session);
+
+      const [transaction] = await Transaction.create([{
+        customerId: bill.customerId,
+        billId,
+        refundId: refund._id,
+        amount: -amount,
+        type: 'refund',
+        description: `Refund ${refund.creditNoteNumber} for ${billLabel(bill)}: ${reason}`,
+      }], { session });
+      let payout = null;
+      if (paidOut > 0) {
+        [payout] = await Transaction.create([{
+          customerId: bill.customerId,
+          billId,
+          refundId: refund._id,
+          amount: paidOut,
+          type: 'payout',
+          description: `Cash paid out for refund ${refund.creditNoteNumber}`,
+        }], { session });
+      }
 
-    const transaction = new Transaction({
-      customerId,
-      billId,
-      amount: -amount,
-      type: 'refund',
-      description: `Refund for Bill #${bill._id.toString().slice(-6)}: ${reason}`,
+      await recordAudit(req, { action: 'create', entityType: 'Refund', after: refund }, session);
+      await recordAudit(req, { action: 'refund', entityType: 'Bill', before: billBefore, after: bill }, session);
+      return { refund, transaction, payout };
     });
-    await transaction.save();
 
-    res.status(201).json({ refund, transaction });
+    res.status(201).json({ refund, transaction, payout });
   } catch (err) {
     console.error('Error processing refund:', err.message, err.stack);
     res.status(400).json({ error: err.message });
   }
 });
 
-// Sales Report Routes
-app.get('/api/reports/sales', async (req, res) => {
+app.get('/api/bills/:id/refunds', authenticateToken, authorize('bills:read'), async (req, res) => {
   try {
-    const { period, startDate, endDate } = req.query;
-    if (!['daily', 'weekly', 'monthly', 'custom'].includes(period)) {
-      return res.status(400).json({ error: 'Invalid period' });
-    }
-
-    let match = {};
-    if (period === 'custom') {
-      if (!startDate || !endDate) return res.status(400).json({ error: 'Start and end dates required' });
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
-        return res.status(400).json({ error: 'Invalid date range' });
-      }
-      match.createdAt = { $gte: start, $lte: end };
-    } else {
-      const date = new Date();
-      if (period === 'daily') date.setDate(date.getDate() - 30);
-      else if (period === 'weekly') date.setDate(date.getDate() - 84);
-      else if (period === 'monthly') date.setMonth(date.getMonth() - 12);
-      match.createdAt = { $gte: date };
-    }
+    const refunds = await Refund.find({ billId: req.params.id })
+      .populate('items.itemId', 'name type size')
+      .sort({ createdAt: -1 });
+    res.json(refunds);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
 
-    const groupBy = period === 'daily' || period === 'custom' ? { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
-      : period === 'weekly' ? { $concat: [{ $dateToString: { format: '%Y', date: '$createdAt' } }, '-W', { $dateToString: { format: '%U', date: '$createdAt' } }] }
-      : { $dateToString: { format: '%Y-%m', date: '$createdAt' } };
-
-    const sales = await Bill.aggregate([
-      { $match: { ...match, status: 'completed' } },
-      {
-        $lookup: {
-          from: 'items',
-          localField: 'items.itemId',
-          foreignField: '_id',
-          as: 'itemDetails',
-        },
-      },
-      {
-        $addFields: {
-          totalCost: {
-            $sum: {
-              $map: {
-                input: '$items',
-                as: 'item',
-                in: { $multiply: ['$$item.quantity', '$$item.unitCost'] },
-              },
-            },
-          },
-          taxTotal: { $sum: '$items.taxRate' },
-        },
-      },
-      {
-        $addFields: {
-          totalProfit: { $subtract: ['$grandTotal', '$totalCost'] },
-        },
-      },
-      {
-        $group: {
-          _id: groupBy,
-          totalSales: { $sum: '$grandTotal' },
-          totalCost: { $sum: '$totalCost' },
-          totalProfit: { $sum: '$totalProfit' },
-          totalTax: { $sum: '$taxTotal' },
-          billCount: { $sum: 1 },
-        },
-      },
-      { $sort: { _id: 1 } },
-      {
-        $project: {
-          period: '$_id',
-          totalSales: 1,
-          totalCost: 1,
-          totalProfit: 1,
-          totalTax: 1,
-          billCount: 1,
-          _id: 0,
-        },
-      },
-    ]);
-
-    res.json(sales);
+app.get('/api/customers/:id/refunds', authenticateToken, authorize('customers:read'), async (req, res) => {
+  try {
+    const refunds = await Refund.find({ customerId: req.params.id })
+      .populate('items.itemId', 'name type size')
+      .sort({ createdAt: -1 });
+    res.json(refunds);
   } catch (err) {
-    console.error('Error fetching sales reports:', err.message, err.stack);
-    res.status(500).json({ error: 'Failed to fetch sales reports' });
+    res.status(500).json({ error: 'Failed to fetch refunds' });
   }
 });
 
 // Export Reports
-app.get('/api/reports/export', async (req, res) => {
+// Kept for existing clients: the bill export from /api/exports/bills, CSV unless ?format=xlsx
+app.get('/api/reports/export', authenticateToken, authorize('data:export'), async (req, res) => {
+  let prepared;
   try {
-    const bills = await Bill.find()
-      .populate('customerId', 'name accountNumber')
-      .populate('items.itemId', 'name')
-      .lean();
-    const csv = bills.map(bill => ({
-      billId: bill._id,
-      customer: bill.customerId.name,
-      date: bill.createdAt.toISOString(),
-      subtotal: bill.subtotal,
-      taxTotal: bill.taxTotal,
-      discount: bill.discount,
-      grandTotal: bill.grandTotal,
-      paymentType: bill.paymentType,
-      items: bill.items.map(item => `${item.itemId.name} x${item.quantity}`).join(';'),
-    }));
-    const fields = ['billId', 'customer', 'date', 'subtotal', 'taxTotal', 'discount', 'grandTotal', 'paymentType', 'items'];
-    const csvData = [fields.join(','), ...csv.map(row => fields.map(field => row[field]).join(','))].join('\n');
-    res.header('Content-Type', 'text/csv');
-    res.attachment('sales_report.csv');
-    res.send(csvData);
+    prepared = prepareExport('bills', req.query);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to export reports' });
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to export reports' });
   }
+  await exportDataset(res, prepared);
 });
 
 
 // Transaction Routes
-app.get('/api/transactions',authenticateToken, async (req, res) => {
+app.get('/api/transactions', authenticateToken, authorize('transactions:read'), async (req, res) => {
   try {
-    const { customerId } = req.query;
-    const query = customerId ? { customerId } : {};
-    const transactions = await Transaction.find(query)
-      .populate('billId', '_id items grandTotal partialPayment status customerId')
-      .populate('billId.customerId', 'name balance')
-      .sort({ createdAt: -1 });
-    res.json(transactions);
+    const { customerId, type, from, to } = req.query;
+    const options = parseListOptions(req.query, {
+      sortFields: ['createdAt', 'amount'],
+      defaultSort: { createdAt: -1 },
+    });
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (type) query.type = type;
+    const createdAt = dateRange(from, to);
+    if (createdAt) query.createdAt = createdAt;
+
+    res.json(await listPage(Transaction, query, options, (find) => find
+      .populate('billId', '_id invoiceNumber items grandTotal partialPayment status customerId')
+      .populate('billId.customerId', 'name balance')));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch transactions' });
   }
 });
 
@@ -0,0 +1,158 @@
+// services/accounts.js
+// Customer account views built from the Transaction ledger: statements and AR aging.
+// Also the one place Customer.balance is changed, so every change is announced.
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const { round2 } = require('./pricing');
+const { amountDue } = require('./allocation');
+const { publishEvent } = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sumTransactions = async (match) => {
+  const [result] = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: null, amount: { $sum: '$amount' } } },
+  ]);
+  return result ? round2(result.amount) : 0;
+};
+
+// Opening balance, dated debit/credit lines with a running balance, and closing balance.
+// Positive ledger amounts (bills) are debits, negative ones (payments, refunds) credits.
+const buildStatement = async (customer, { from, to }) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+
+  const openingBalance = from
+    ? await sumTransactions({ customerId: customer._id, createdAt: { $lt: from } })
+    : 0;
+
+  const transactions = await Transaction.find({
+    customerId: customer._id,
+    ...(from || to ? { createdAt: range } : {}),
+  }).sort({ createdAt: 1, _id: 1 }).lean();
+
+  let balance = openingBalance;
+  let totalDebits = 0;
+  let totalCredits = 0;
+  const lines = transactions.map(tx => {
+    balance = round2(balance + tx.amount);
+    const debit = tx.amount > 0 ? tx.amount : 0;
+    const credit = tx.amount < 0 ? -tx.amount : 0;
+    totalDebits += debit;
+    totalCredits += credit;
+    return {
+      date: tx.createdAt,
+      type: tx.type,
+      description: tx.description,
+      billId: tx.billId,
+      paymentId: tx.paymentId,
+      refundId: tx.refundId,
+      debit: round2(debit),
+      credit: round2(credit),
+      balance,
+    };
+  });
+
+  return {
+    customer: {
+      _id: customer._id,
+      name: customer.name,
+      accountNumber: customer.accountNumber,
+      phone: customer.phone,
+      address: customer.address,
+    },
+    from: from || null,
+    to: to || null,
+    openingBalance,
+    totalDebits: round2(totalDebits),
+    totalCredits: round2(totalCredits),
+    closingBalance: balance,
+    lines,
+  };
+};
+
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 30 },
+  { key: 'days30', maxDays: 60 },
+  { key: 'days60', maxDays: 90 },
+  { key: 'days90plus', maxDays: Infinity },
+];
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+
+const bucketFor = (ageDays) => AGING_BUCKETS.find(b => ageDays < b.maxDays).key;
+
+// Accounts-receivable aging across customers, by age of each bill's amountDue.
+// Older payments were never allocated to bills, so a customer's open bills are still capped
+// at their balance, oldest bills treated as settled first.
+const buildAgingReport = async (asOf = new Date()) => {
+  const bills = await Bill.find({
+    createdAt: { $lte: asOf },
+    $or: [{ amountDue: { $gt: 0 } }, { amountDue: { $exists: false }, status: 'pending' }],
+  })
+    .sort({ createdAt: 1 })
+    .select('customerId grandTotal partialPayment refundedTotal amountPaid amountDue createdAt')
+    .lean();
+
+  const billsByCustomer = new Map();
+  for (const bill of bills) {
+    const key = bill.customerId.toString();
+    if (!billsByCustomer.has(key)) billsByCustomer.set(key, []);
+    billsByCustomer.get(key).push(bill);
+  }
+
+  const customers = await Customer.find({ _id: { $in: [...billsByCustomer.keys()] } })
+    .select('name accountNumber phone balance')
+    .lean();
+
+  const totals = { ...emptyBuckets(), total: 0 };
+  const rows = [];
+  for (const customer of customers) {
+    const customerBills = billsByCustomer.get(customer._id.toString());
+    const open = customerBills.reduce((sum, bill) => sum + amountDue(bill), 0);
+    let settled = Math.max(open - Math.max(customer.balance, 0), 0);
+
+    const buckets = emptyBuckets();
+    for (const bill of customerBills) {
+      let due = amountDue(bill);
+      const applied = Math.min(due, settled);
+      settled -= applied;
+      due = round2(due - applied);
+      if (due <= 0) continue;
+      const ageDays = Math.floor((asOf - bill.createdAt) / DAY_MS);
+      buckets[bucketFor(ageDays)] = round2(buckets[bucketFor(ageDays)] + due);
+    }
+
+    const total = round2(Object.values(buckets).reduce((sum, n) => sum + n, 0));
+    if (total <= 0) continue;
+    rows.push({ customerId: customer._id, name: customer.name, accountNumber: customer.accountNumber, phone: customer.phone, ...buckets, total });
+    for (const key of Object.keys(buckets)) totals[key] = round2(totals[key] + buckets[key]);
+    totals.total = round2(totals.total + total);
+  }
+
+  rows.sort((a, b) => b.total - a.total);
+  return { asOf, customers: rows, totals };
+};
+
+// Adds amount to what the customer owes (negative for money in). source says which
+// document caused it, e.g. { sourceType: 'Bill', sourceId }. Pass the transaction session.
+const changeBalance = async (customerId, amount, { sourceType, sourceId }, session) => {
+  const customer = await Customer.findByIdAndUpdate(customerId, { $inc: { balance: amount } }, { new: true, session });
+  if (!customer) throw new Error(`Customer not found: ${customerId}`);
+  await publishEvent('customer.balance_changed', {
+    customerId: customer._id,
+    accountNumber: customer.accountNumber,
+    name: customer.name,
+    phone: customer.phone,
+    balance: customer.balance,
+    change: amount,
+    sourceType,
+    sourceId,
+  }, session);
+  return customer;
+};
+
+module.exports = { buildStatement, buildAgingReport, changeBalance };
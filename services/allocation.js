@@ -0,0 +1,128 @@
+// services/allocation.js
+// Links payments to the bills they settle. A bill tracks amountPaid/amountDue and the
+// allocations that make them up; a payment tracks where its money went and what is left
+// over as customer credit (unallocatedAmount).
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const { round2 } = require('./pricing');
+
+// Bills from before allocation tracking only know what was paid at the till
+const amountPaid = (bill) => (typeof bill.amountPaid === 'number' ? bill.amountPaid : bill.partialPayment || 0);
+
+// What has been paid on a bill beyond what it is now worth, e.g. after a refund of paid goods
+const overpaidAmount = (bill) => Math.max(0, round2(amountPaid(bill) - (bill.refundPaidOut || 0) - (bill.grandTotal - (bill.refundedTotal || 0))));
+
+const amountDue = (bill) => Math.max(0, round2(bill.grandTotal - (bill.refundedTotal || 0) - amountPaid(bill)));
+
+// Query for bills that still have something owing, including pre-tracking pending bills
+const openBillsFilter = (customerId) => ({
+  customerId,
+  $or: [
+    { amountDue: { $gt: 0 } },
+    { amountDue: { $exists: false }, status: 'pending' },
+  ],
+});
+
+// Recomputes amountDue after anything that changes what is owed (payments, refunds)
+const refreshAmountDue = (bill) => {
+  bill.amountPaid = amountPaid(bill);
+  bill.amountDue = amountDue(bill);
+  if (bill.amountDue <= 0 && bill.status === 'pending') bill.status = 'completed';
+};
+
+const allocate = (bill, payment, amount) => {
+  bill.allocations.push({ paymentId: payment._id, amount, date: payment.createdAt });
+  bill.amountPaid = round2(amountPaid(bill) + amount);
+  refreshAmountDue(bill);
+  payment.allocations.push({ billId: bill._id, amount });
+  payment.unallocatedAmount = round2(payment.unallocatedAmount - amount);
+};
+
+// Spreads a payment over bills: explicitly with [{ billId, amount }], otherwise oldest bill first.
+// Whatever isn't allocated stays on the payment as credit. Saves the bills and the payment.
+const allocatePayment = async (payment, { allocations, session } = {}) => {
+  if (typeof payment.unallocatedAmount !== 'number') payment.unallocatedAmount = payment.amount;
+  const touched = [];
+
+  if (allocations?.length) {
+    const requested = round2(allocations.reduce((sum, a) => sum + (a.amount || 0), 0));
+    if (requested > payment.unallocatedAmount + 0.001) {
+      throw new Error(`Allocations (${requested}) exceed the payment amount (${payment.unallocatedAmount})`);
+    }
+    for (const [index, { billId, amount }] of allocations.entries()) {
+      if (typeof amount !== 'number' || amount <= 0) throw new Error(`Allocation ${index}: amount must be positive`);
+      const bill = await Bill.findById(billId).session(session);
+      if (!bill || bill.customerId.toString() !== payment.customerId.toString()) {
+        throw new Error(`Allocation ${index}: bill ${billId} not found for this customer`);
+      }
+      const due = amountDue(bill);
+      if (amount > due + 0.001) throw new Error(`Allocation ${index}: only ${due} is due on bill ${billId}`);
+      allocate(bill, payment, round2(amount));
+      touched.push(bill);
+    }
+  } else {
+    const bills = await Bill.find(openBillsFilter(payment.customerId)).sort({ createdAt: 1 }).session(session);
+    for (const bill of bills) {
+      if (payment.unallocatedAmount <= 0) break;
+      const amount = Math.min(amountDue(bill), payment.unallocatedAmount);
+      if (amount <= 0) continue;
+      allocate(bill, payment, round2(amount));
+      touched.push(bill);
+    }
+  }
+
+  for (const bill of touched) await bill.save({ session });
+  await payment.save({ session });
+  return touched;
+};
+
+// Moves up to `amount` of what was paid on a bill back onto the payments it came from, newest
+// allocation first, as credit the customer can spend. Saves the payments; the caller saves the bill.
+// Returns what was released: bills from before allocation tracking have nothing to release.
+const releaseAllocations = async (bill, amount, { session } = {}) => {
+  let left = round2(amount);
+  for (const allocation of [...bill.allocations].reverse()) {
+    if (left <= 0) break;
+    const payment = await Payment.findById(allocation.paymentId).session(session);
+    const paymentAllocation = payment?.allocations.filter(a => a.billId.equals(bill._id)).pop();
+    if (!paymentAllocation) continue;
+
+    const take = round2(Math.min(left, allocation.amount, paymentAllocation.amount));
+    paymentAllocation.amount = round2(paymentAllocation.amount - take);
+    payment.allocations = payment.allocations.filter(a => a.amount > 0);
+    payment.unallocatedAmount = round2((payment.unallocatedAmount || 0) + take);
+    await payment.save({ session });
+
+    allocation.amount = round2(allocation.amount - take);
+    bill.amountPaid = round2(amountPaid(bill) - take);
+    left = round2(left - take);
+  }
+  bill.allocations = bill.allocations.filter(a => a.amount > 0);
+  refreshAmountDue(bill);
+  return round2(amount - left);
+};
+
+// Uses the customer's unallocated payment credit, oldest first, against a bill. Saves what it changes.
+const applyCustomerCredit = async (bill, { session } = {}) => {
+  const payments = await Payment.find({ customerId: bill.customerId, unallocatedAmount: { $gt: 0 } })
+    .sort({ createdAt: 1 })
+    .session(session);
+  for (const payment of payments) {
+    const amount = Math.min(amountDue(bill), payment.unallocatedAmount);
+    if (amount <= 0) break;
+    allocate(bill, payment, round2(amount));
+    await payment.save({ session });
+  }
+  await bill.save({ session });
+  return bill;
+};
+
+module.exports = {
+  allocatePayment,
+  applyCustomerCredit,
+  releaseAllocations,
+  refreshAmountDue,
+  amountDue,
+  overpaidAmount,
+  openBillsFilter,
+};
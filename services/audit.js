@@ -0,0 +1,38 @@
+// services/audit.js
+const AuditLog = require('../models/AuditLog');
+
+const snapshot = (doc) => {
+  if (!doc) return undefined;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  delete plain.password;
+  delete plain.__v;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields whose value differs between the two snapshots
+const changedFields = (before = {}, after = {}) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+};
+
+// Records who changed what. Pass the transaction session when called inside one
+// so the audit entry commits or rolls back together with the change itself.
+const recordAudit = async (req, { action, entityType, entityId, before, after, note }, session) => {
+  const beforeSnap = snapshot(before);
+  const afterSnap = snapshot(after);
+  const [entry] = await AuditLog.create([{
+    userId: req.user?.id,
+    userEmail: req.user?.email,
+    action,
+    entityType,
+    entityId: entityId || afterSnap?._id || beforeSnap?._id,
+    before: beforeSnap,
+    after: afterSnap,
+    changedFields: changedFields(beforeSnap, afterSnap),
+    note,
+    ip: req.ip,
+  }], { session });
+  return entry;
+};
+
+module.exports = { recordAudit };
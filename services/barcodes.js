@@ -0,0 +1,124 @@
+// services/barcodes.js
+// Barcode lookup, generation and decoding of scale labels.
+//
+// Generated EAN-13 codes use the GS1 in-store range (prefix 20 by default), so they never
+// clash with manufacturer codes. Scale labels carry the item's 5-digit PLU and either a weight
+// or a price: PP IIIII VVVVV C (prefix, PLU, value, check digit).
+const Item = require('../models/Item');
+const Counter = require('../models/Counter');
+const { round2 } = require('./pricing');
+const { escapeRegex, badRequest } = require('./listing');
+
+const EAN_PREFIX = process.env.BARCODE_PREFIX || '20';
+const INTERNAL_PREFIX = process.env.INTERNAL_BARCODE_PREFIX || 'ITM';
+const SCALE_WEIGHT_PREFIX = process.env.SCALE_WEIGHT_PREFIX || '21'; // value in grams
+const SCALE_PRICE_PREFIX = process.env.SCALE_PRICE_PREFIX || '22'; // value in paisa/cents
+const SCALE_PRICE_DECIMALS = Number(process.env.SCALE_PRICE_DECIMALS ?? 2);
+
+const BARCODE_FORMATS = ['ean13', 'internal'];
+const SEARCH_FIELDS = 'name barcode plu type size sellingPrice taxRate stock';
+
+// Check digit for the first 12 digits of an EAN-13 (or 7 of an EAN-8): weights 3,1,3,... from the right
+const eanCheckDigit = (digits) => {
+  const sum = [...digits].reverse().reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidEan13 = (code) => /^\d{13}$/.test(code) && eanCheckDigit(code.slice(0, 12)) === code[12];
+
+// Next code in the shop's own series. Taken inside the caller's transaction like invoice numbers.
+const nextBarcode = async (format, session) => {
+  if (!BARCODE_FORMATS.includes(format)) throw badRequest(`format must be one of ${BARCODE_FORMATS.join(', ')}`);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `barcode:${format}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  if (format === 'internal') return `${INTERNAL_PREFIX}${String(counter.seq).padStart(6, '0')}`;
+
+  const body = `${EAN_PREFIX}${String(counter.seq).padStart(12 - EAN_PREFIX.length, '0')}`;
+  if (body.length > 12) throw new Error('EAN-13 barcode range exhausted');
+  return body + eanCheckDigit(body);
+};
+
+// Gives every listed item without a barcode the next free code. Skips codes that are
+// already in use (e.g. typed in by hand) so the unique index never trips.
+const assignBarcodes = async (items, format, session) => {
+  const assigned = [];
+  for (const item of items) {
+    if (item.barcode) continue;
+    let code;
+    do {
+      code = await nextBarcode(format, session);
+    } while (await Item.exists({ barcode: code }).session(session));
+    item.barcode = code;
+    await item.save({ session });
+    assigned.push(item);
+  }
+  return assigned;
+};
+
+// { kind: 'weight' | 'price', plu, value } for a scale label, or null for any other code
+const decodeScaleBarcode = (code) => {
+  if (!isValidEan13(code)) return null;
+  const prefix = code.slice(0, 2);
+  if (prefix !== SCALE_WEIGHT_PREFIX && prefix !== SCALE_PRICE_PREFIX) return null;
+  const plu = code.slice(2, 7);
+  const value = Number(code.slice(7, 12));
+  return prefix === SCALE_WEIGHT_PREFIX
+    ? { kind: 'weight', plu, value: value / 1000 }
+    : { kind: 'price', plu, value: value / 10 ** SCALE_PRICE_DECIMALS };
+};
+
+// Resolves a scanned code to { item, quantity, source }. Plain barcodes are one unit; scale
+// labels give the weight in kg, or a price that is turned into a quantity at the item's price.
+const lookupBarcode = async (code) => {
+  const item = await Item.findOne({ barcode: code, archived: { $ne: true } });
+  if (item) return { item, quantity: 1, source: 'barcode' };
+
+  const scale = decodeScaleBarcode(code);
+  if (!scale) return null;
+  const scaleItem = await Item.findOne({ plu: scale.plu, archived: { $ne: true } });
+  if (!scaleItem) return null;
+  if (scale.kind === 'weight') return { item: scaleItem, quantity: scale.value, source: 'weight' };
+  if (!scaleItem.sellingPrice) return null;
+  return {
+    item: scaleItem,
+    quantity: Math.round(scale.value / scaleItem.sellingPrice * 1000) / 1000,
+    price: round2(scale.value),
+    source: 'price',
+  };
+};
+
+// Typeahead: every word must match the start of a word in the name, or the start of
+// the type, size or barcode. Exact barcode hits come first, then names starting with q.
+const searchItems = async (q, limit = 10) => {
+  const terms = String(q || '').trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  if (!terms.length) return [];
+  const filter = {
+    archived: { $ne: true },
+    $and: terms.map(term => {
+      const prefix = new RegExp(`^${escapeRegex(term)}`, 'i');
+      return {
+        $or: [
+          { name: new RegExp(`(^|\\s)${escapeRegex(term)}`, 'i') },
+          { type: prefix },
+          { size: prefix },
+          { barcode: prefix },
+        ],
+      };
+    }),
+  };
+  const code = String(q).trim();
+  const [items, exact] = await Promise.all([
+    Item.find(filter).select(SEARCH_FIELDS).sort({ name: 1 }).limit(limit).lean(),
+    Item.findOne({ barcode: code, archived: { $ne: true } }).select(SEARCH_FIELDS).lean(),
+  ]);
+
+  const rest = items.filter(item => !exact || !item._id.equals(exact._id));
+  const startsWith = (item) => item.name.toLowerCase().startsWith(code.toLowerCase());
+  rest.sort((a, b) => startsWith(b) - startsWith(a));
+  return (exact ? [exact, ...rest] : rest).slice(0, limit);
+};
+
+module.exports = { eanCheckDigit, isValidEan13, assignBarcodes, decodeScaleBarcode, lookupBarcode, searchItems };
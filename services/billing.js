@@ -0,0 +1,181 @@
+// services/billing.js
+// The billing flow shared by POST /api/bills and converting drafts: pricing a cart, then
+// creating the bill with its stock moves, ledger entries and payment in one transaction.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const { resolveListPrices } = require('./priceLists');
+const { priceWithPromotions, recordPromotionUsage } = require('./promotions');
+const { moveStock } = require('./stock');
+const { recordAudit } = require('./audit');
+const { allocatePayment, applyCustomerCredit } = require('./allocation');
+const { changeBalance } = require('./accounts');
+const { publishEvent, paymentEventData } = require('./events');
+const { normalizeTenders, summaryMethod } = require('./tenders');
+const { nextInvoiceNumber, billLabel } = require('./counters');
+const { badRequest, notFound } = require('./listing');
+
+// Fetch the catalog Items referenced by a list of bill lines, keyed by id
+const loadLineItems = async (lines) => {
+  const ids = [...new Set(lines.filter(line => line.itemId).map(line => line.itemId.toString()))];
+  const dbItems = await Item.find({ _id: { $in: ids } });
+  return new Map(dbItems.map(item => [item._id.toString(), item]));
+};
+
+// Stock errors for the priced lines, with repeated items summed together
+const findStockShortages = (pricedItems, itemsById) => {
+  const needed = new Map();
+  for (const item of pricedItems) {
+    const id = item.itemId.toString();
+    needed.set(id, (needed.get(id) || 0) + item.quantity);
+  }
+  return [...needed].filter(([id, quantity]) => itemsById.get(id).stock < quantity)
+    .map(([id]) => `Insufficient stock for ${itemsById.get(id).name}: ${itemsById.get(id).stock} available`);
+};
+
+// Prices lines from the catalog and the customer's price list (the default list without a
+// customer), then applies promotions. Nothing is written.
+const priceCart = async (customer, { items, markup, discount, couponCode }, role) => {
+  const itemsById = await loadLineItems(items);
+  const { priceList, prices } = await resolveListPrices(customer, items);
+  const pricing = await priceWithPromotions(items, itemsById, { markup, discount, role, listPrices: prices }, { couponCode });
+  return { pricing, priceList, itemsById, stockErrors: findStockShortages(pricing.items, itemsById) };
+};
+
+// body: { customerId, items, markup, discount, couponCode, paymentType, tenders | partialPayment }
+// onCreated(bill, session) runs inside the bill's transaction, for callers that record the bill elsewhere.
+// Returns { bill, transactions, change }; throws errors with status 400/404 for bad input.
+const createBill = async (req, body, { onCreated } = {}) => {
+  // tenders: [{ method, amount, reference? }]; older tills send a cash partialPayment instead
+  const { customerId, items, markup, discount, paymentType, partialPayment, tenders, couponCode } = body;
+
+  // Validate input
+  const errors = [];
+  if (!customerId) errors.push('customerId required');
+  if (!items?.length) errors.push('items must be a non-empty array');
+  if (paymentType !== undefined && !['cash', 'credit'].includes(paymentType)) errors.push('paymentType must be cash or credit');
+  if (tenders === undefined && (typeof partialPayment !== 'number' || partialPayment < 0)) {
+    errors.push('tenders or a non-negative partialPayment required');
+  }
+  if (errors.length) throw badRequest(errors.join('; '));
+
+  // Validate customer
+  const customer = await Customer.findById(customerId);
+  if (!customer) throw notFound(`Customer not found: ${customerId}`);
+  if (customer.archived) throw badRequest(`Customer is archived: ${customer.name}`);
+
+  const { pricing, priceList, stockErrors } = await priceCart(customer, { items, markup, discount, couponCode }, req.user.role);
+  if (stockErrors.length) throw badRequest(stockErrors.join('; '));
+  const { items: populatedItems, grandTotal } = pricing;
+
+  const tendered = await normalizeTenders(
+    tenders ?? (partialPayment > 0 ? [{ method: 'cash', amount: partialPayment }] : []),
+    { due: grandTotal }
+  );
+  const paidNow = tendered.paidTotal;
+
+  // Everything below commits together or not at all
+  const { bill, transactions } = await mongoose.connection.transaction(async (session) => {
+    // Create bill; it is marked completed once payments cover amountDue
+    const [bill] = await Bill.create([{
+      invoiceNumber: await nextInvoiceNumber(session),
+      customerId,
+      ...pricing,
+      priceListId: priceList?._id,
+      paymentType: paymentType || (paidNow >= grandTotal ? 'cash' : 'credit'),
+      partialPayment: paidNow,
+      tenders: tendered.tenders,
+      change: tendered.change,
+      amountPaid: 0,
+      amountDue: grandTotal,
+      status: 'pending',
+      shiftId: req.shift?._id,
+      createdBy: req.user.id,
+    }], { session });
+    await recordPromotionUsage(pricing.promotions.map(promotion => promotion.promotionId), session);
+
+    // Update item stock, only if enough is left at write time
+    for (const item of populatedItems) {
+      await moveStock({
+        itemId: item.itemId,
+        quantity: -item.quantity,
+        type: 'sale',
+        sourceType: 'Bill',
+        sourceId: bill._id,
+        unitCost: item.unitCost,
+        userId: req.user.id,
+      }, session);
+    }
+
+    // Update customer balance
+    await changeBalance(customerId, grandTotal - paidNow, { sourceType: 'Bill', sourceId: bill._id }, session);
+
+    // Create transactions
+    const transactions = [];
+    let payment;
+    const [billTransaction] = await Transaction.create([{
+      customerId,
+      billId: bill._id,
+      amount: grandTotal,
+      type: 'bill',
+      description: `Bill ${billLabel(bill)}`,
+    }], { session });
+    transactions.push(billTransaction);
+
+    if (paidNow > 0) {
+      [payment] = await Payment.create([{
+        customerId,
+        amount: paidNow,
+        paymentMethod: summaryMethod(tendered.tenders),
+        tenders: tendered.tenders,
+        description: `Payment for ${billLabel(bill)}`,
+        unallocatedAmount: paidNow,
+        shiftId: req.shift?._id,
+        createdBy: req.user.id,
+      }], { session });
+      // Anything paid over the bill total by card/transfer stays on the payment as credit
+      await allocatePayment(payment, {
+        allocations: [{ billId: bill._id, amount: Math.min(paidNow, grandTotal) }],
+        session,
+      });
+      const [paymentTransaction] = await Transaction.create([{
+        customerId,
+        billId: bill._id,
+        paymentId: payment._id,
+        amount: -paidNow,
+        type: 'payment',
+        description: `Payment for ${billLabel(bill)}`,
+      }], { session });
+      transactions.push(paymentTransaction);
+    }
+
+    // Settle the rest from credit the customer already has on account
+    const settled = await Bill.findById(bill._id).session(session);
+    if (settled.amountDue > 0) await applyCustomerCredit(settled, { session });
+    if (onCreated) await onCreated(settled, session);
+
+    await publishEvent('bill.created', {
+      billId: settled._id,
+      invoiceNumber: settled.invoiceNumber,
+      customerId,
+      grandTotal: settled.grandTotal,
+      taxTotal: settled.taxTotal,
+      amountPaid: settled.amountPaid,
+      amountDue: settled.amountDue,
+      status: settled.status,
+      paymentType: settled.paymentType,
+      shiftId: settled.shiftId,
+    }, session);
+    if (payment) await publishEvent('payment.recorded', paymentEventData(payment), session);
+
+    await recordAudit(req, { action: 'create', entityType: 'Bill', after: settled }, session);
+    return { bill: settled, transactions };
+  });
+
+  return { bill, transactions, change: tendered.change };
+};
+
+module.exports = { priceCart, createBill };
@@ -0,0 +1,49 @@
+// services/counters.js
+// Sequential document numbers such as INV-2026-000123. Numbers are taken inside the
+// caller's transaction: an aborted bill rolls its number back, so the series has no gaps,
+// and two bills racing for the same number conflict and retry instead of colliding.
+const Counter = require('../models/Counter');
+
+const SERIES = {
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'INV',
+    digits: Number(process.env.INVOICE_NUMBER_DIGITS) || 6,
+  },
+  creditNote: {
+    prefix: process.env.CREDIT_NOTE_PREFIX || 'CN',
+    digits: Number(process.env.CREDIT_NOTE_NUMBER_DIGITS) || 6,
+  },
+  quotation: {
+    prefix: process.env.QUOTATION_PREFIX || 'QT',
+    digits: Number(process.env.QUOTATION_NUMBER_DIGITS) || 6,
+  },
+};
+
+// {prefix}, {year} and {seq} are replaced; the sequence restarts every year
+const NUMBER_FORMAT = process.env.DOCUMENT_NUMBER_FORMAT || '{prefix}-{year}-{seq}';
+
+const nextNumber = async (series, session, date = new Date()) => {
+  const config = SERIES[series];
+  if (!config) throw new Error(`Unknown numbering series: ${series}`);
+  const year = date.getFullYear();
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${series}:${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return NUMBER_FORMAT
+    .replace('{prefix}', config.prefix)
+    .replace('{year}', year)
+    .replace('{seq}', String(counter.seq).padStart(config.digits, '0'));
+};
+
+const nextInvoiceNumber = (session, date) => nextNumber('invoice', session, date);
+const nextCreditNoteNumber = (session, date) => nextNumber('creditNote', session, date);
+const nextQuotationNumber = (session, date) => nextNumber('quotation', session, date);
+
+// How a bill is referred to in descriptions; older bills have no invoice number
+const billLabel = (bill) => bill.invoiceNumber || `Bill #${bill._id.toString().slice(-6)}`;
+
+module.exports = { nextInvoiceNumber, nextCreditNoteNumber, nextQuotationNumber, billLabel };
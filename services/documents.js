@@ -0,0 +1,331 @@
+// services/documents.js
+// Printable bill documents: an A4 PDF invoice and a plain-text receipt sized for
+// 58mm/80mm thermal printers. Both are rendered from the same summary of the bill.
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const Bill = require('../models/Bill');
+const { round2 } = require('./pricing');
+const { amountDue } = require('./allocation');
+const { billLabel } = require('./counters');
+const { getShopSettings } = require('./settings');
+const { badRequest } = require('./listing');
+const { isValidEan13 } = require('./barcodes');
+
+// Characters per line at the printer's default font
+const RECEIPT_WIDTHS = { 58: 32, 80: 48 };
+
+const money = (n) => (n || 0).toFixed(2);
+
+// Everything the renderers print, with fallbacks for bills from before itemised tax and allocations
+const loadBillDocument = async (billId) => {
+  const bill = await Bill.findById(billId)
+    .populate('customerId', 'name phone address accountNumber balance')
+    .populate('items.itemId', 'name type size barcode')
+    .populate('allocations.paymentId', 'paymentMethod createdAt')
+    .populate('createdBy', 'name email')
+    .lean();
+  if (!bill) return null;
+
+  const markup = bill.markup || 0;
+  const discount = bill.discount || 0;
+  const promotionDiscount = bill.promotionDiscount || 0;
+  const afterPromotions = round2(bill.subtotal - promotionDiscount);
+  const markupAmount = round2(afterPromotions * markup / 100);
+  const discountAmount = round2((afterPromotions + markupAmount) * discount / 100);
+  const netTotal = bill.netTotal ?? round2(afterPromotions + markupAmount - discountAmount);
+
+  const payments = bill.allocations?.length
+    ? bill.allocations.map(allocation => ({
+      date: allocation.date,
+      method: allocation.paymentId?.paymentMethod || 'payment',
+      amount: allocation.amount,
+    }))
+    : bill.partialPayment ? [{ date: bill.createdAt, method: bill.paymentType, amount: bill.partialPayment }] : [];
+
+  return {
+    shop: await getShopSettings(),
+    number: billLabel(bill),
+    date: bill.createdAt,
+    status: bill.status,
+    cashier: bill.createdBy?.name || bill.createdBy?.email,
+    customer: bill.customerId || {},
+    lines: bill.items.map(line => ({
+      name: line.itemId?.name || 'Deleted item',
+      detail: [line.itemId?.type, line.itemId?.size].filter(Boolean).join(' '),
+      quantity: line.quantity,
+      price: line.customPrice,
+      taxRate: line.taxRate || 0,
+      total: line.total,
+      promotions: line.promotions || [],
+      refundedQuantity: line.refundedQuantity || 0,
+    })),
+    subtotal: bill.subtotal,
+    promotionDiscount,
+    couponCode: bill.couponCode,
+    markup,
+    markupAmount,
+    discount,
+    discountAmount,
+    netTotal,
+    taxBreakdown: bill.taxBreakdown?.length ? bill.taxBreakdown : [],
+    taxTotal: bill.taxTotal || 0,
+    grandTotal: bill.grandTotal,
+    refundedTotal: bill.refundedTotal || 0,
+    tenders: bill.tenders || [],
+    change: bill.change || 0,
+    payments,
+    amountPaid: round2(payments.reduce((acc, payment) => acc + payment.amount, 0)),
+    amountDue: typeof bill.amountDue === 'number' ? bill.amountDue : amountDue(bill),
+  };
+};
+
+// Barcode as a PNG: Code 128 unless another bwip-js symbology is given
+const renderBarcode = (text, bcid = 'code128') => bwipjs.toBuffer({
+  bcid,
+  text,
+  scale: 2,
+  height: 10,
+  includetext: true,
+  textxalign: 'center',
+});
+
+// The totals block shared by both documents: [label, amount] rows
+const totalRows = (doc) => {
+  const rows = [['Subtotal', doc.subtotal]];
+  if (doc.promotionDiscount) rows.push([doc.couponCode ? `Promotions (${doc.couponCode})` : 'Promotions', -doc.promotionDiscount]);
+  if (doc.markup) rows.push([`Markup ${doc.markup}%`, doc.markupAmount]);
+  if (doc.discount) rows.push([`Discount ${doc.discount}%`, -doc.discountAmount]);
+  if (doc.markup || doc.discount) rows.push(['Net', doc.netTotal]);
+  for (const tax of doc.taxBreakdown) rows.push([`Tax ${tax.rate}% on ${money(tax.net)}`, tax.tax]);
+  if (!doc.taxBreakdown.length && doc.taxTotal) rows.push(['Tax', doc.taxTotal]);
+  rows.push(['TOTAL', doc.grandTotal]);
+  if (doc.refundedTotal) rows.push(['Refunded', -doc.refundedTotal]);
+  return rows;
+};
+
+const renderInvoicePdf = async (doc) => {
+  const barcode = await renderBarcode(doc.number);
+  const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+  });
+
+  const left = 50;
+  const right = pdf.page.width - 50;
+  const width = right - left;
+
+  // Shop and invoice header
+  pdf.font('Helvetica-Bold').fontSize(18).text(doc.shop.name, left, 50);
+  pdf.font('Helvetica').fontSize(9);
+  for (const line of [doc.shop.address, doc.shop.phone, doc.shop.email]) if (line) pdf.text(line);
+  if (doc.shop.taxId) pdf.text(`Tax ID: ${doc.shop.taxId}`);
+
+  pdf.font('Helvetica-Bold').fontSize(14).text('INVOICE', left, 50, { width, align: 'right' });
+  pdf.font('Helvetica').fontSize(9)
+    .text(doc.number, { width, align: 'right' })
+    .text(new Date(doc.date).toLocaleString(), { width, align: 'right' })
+    .text(`Status: ${doc.status}`, { width, align: 'right' });
+  if (doc.cashier) pdf.text(`Served by: ${doc.cashier}`, { width, align: 'right' });
+
+  // Customer
+  pdf.moveDown(2);
+  const customerTop = Math.max(pdf.y, 130);
+  pdf.font('Helvetica-Bold').fontSize(10).text('Bill to', left, customerTop);
+  pdf.font('Helvetica').fontSize(9).text(doc.customer.name || '');
+  if (doc.customer.accountNumber) pdf.text(`Account: ${doc.customer.accountNumber}`);
+  if (doc.customer.phone) pdf.text(`Phone: ${doc.customer.phone}`);
+  if (doc.customer.address) pdf.text(doc.customer.address);
+
+  // Lines
+  const columns = [
+    { label: 'Item', x: left, width: 230, align: 'left' },
+    { label: 'Qty', x: left + 230, width: 50, align: 'right' },
+    { label: 'Price', x: left + 280, width: 75, align: 'right' },
+    { label: 'Tax %', x: left + 355, width: 50, align: 'right' },
+    { label: 'Amount', x: left + 405, width: width - 405, align: 'right' },
+  ];
+  const row = (values, font = 'Helvetica') => {
+    if (pdf.y > pdf.page.height - 120) pdf.addPage();
+    const top = pdf.y;
+    pdf.font(font).fontSize(9);
+    const heights = values.map((value, i) => pdf.heightOfString(String(value), { width: columns[i].width }));
+    values.forEach((value, i) => pdf.text(String(value), columns[i].x, top, { width: columns[i].width, align: columns[i].align }));
+    pdf.y = top + Math.max(...heights) + 4;
+  };
+
+  pdf.moveDown(1.5);
+  row(columns.map(column => column.label), 'Helvetica-Bold');
+  pdf.moveTo(left, pdf.y - 2).lineTo(right, pdf.y - 2).stroke();
+  for (const line of doc.lines) {
+    let name = line.detail ? `${line.name} (${line.detail})` : line.name;
+    if (line.refundedQuantity) name += ` - ${line.refundedQuantity} refunded`;
+    row([name, line.quantity, money(line.price), line.taxRate, money(line.total)]);
+    for (const promotion of line.promotions) row([`  ${promotion.name}`, '', '', '', money(-promotion.amount)]);
+  }
+  pdf.moveTo(left, pdf.y).lineTo(right, pdf.y).stroke();
+
+  // Totals, then payments and what is still owed
+  const amountRow = (label, amount, font = 'Helvetica') => {
+    if (pdf.y > pdf.page.height - 80) pdf.addPage();
+    const top = pdf.y;
+    pdf.font(font).fontSize(9).text(label, left + 255, top, { width: 150, align: 'right' });
+    pdf.text(money(amount), left + 405, top, { width: width - 405, align: 'right' });
+    pdf.y = top + 14;
+  };
+  pdf.moveDown(0.5);
+  for (const [label, amount] of totalRows(doc)) amountRow(label, amount, label === 'TOTAL' ? 'Helvetica-Bold' : 'Helvetica');
+
+  pdf.moveDown(0.5);
+  for (const payment of doc.payments) {
+    amountRow(`Paid ${payment.method} ${new Date(payment.date).toLocaleDateString()}`, payment.amount);
+  }
+  if (doc.change) amountRow('Change given', doc.change);
+  amountRow('Balance due', doc.amountDue, 'Helvetica-Bold');
+
+  // Barcode and footer
+  pdf.moveDown(2);
+  if (pdf.y > pdf.page.height - 120) pdf.addPage();
+  pdf.image(barcode, left, pdf.y, { height: 45 });
+  pdf.moveDown(4);
+  if (doc.shop.footer) pdf.font('Helvetica').fontSize(9).text(doc.shop.footer, left, pdf.y, { width, align: 'center' });
+
+  pdf.end();
+  return done;
+};
+
+// Shelf labels on A4 sheets, 3 x 8 per page. entries: [{ item, copies }]
+const LABEL_COLUMNS = 3;
+const LABEL_ROWS = 8;
+
+const renderShelfLabels = async (entries) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 20, autoFirstPage: false });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+  });
+
+  const barcodes = new Map();
+  for (const { item } of entries) {
+    if (!item.barcode || barcodes.has(item.barcode)) continue;
+    barcodes.set(item.barcode, await renderBarcode(item.barcode, isValidEan13(item.barcode) ? 'ean13' : 'code128'));
+  }
+
+  const labels = entries.flatMap(({ item, copies }) => Array(copies).fill(item));
+  const perPage = LABEL_COLUMNS * LABEL_ROWS;
+  labels.forEach((item, index) => {
+    if (index % perPage === 0) pdf.addPage();
+    const slot = index % perPage;
+    const width = (pdf.page.width - 40) / LABEL_COLUMNS;
+    const height = (pdf.page.height - 40) / LABEL_ROWS;
+    const x = 20 + (slot % LABEL_COLUMNS) * width;
+    const y = 20 + Math.floor(slot / LABEL_COLUMNS) * height;
+
+    pdf.rect(x + 2, y + 2, width - 4, height - 4).lineWidth(0.5).stroke('#999999');
+    pdf.fillColor('black').font('Helvetica-Bold').fontSize(9)
+      .text(item.name, x + 8, y + 8, { width: width - 16, height: 22, ellipsis: true });
+    const detail = [item.type, item.size].filter(Boolean).join(' ');
+    if (detail) pdf.font('Helvetica').fontSize(7).text(detail, x + 8, y + 30, { width: width - 16, lineBreak: false });
+    pdf.font('Helvetica-Bold').fontSize(16).text(money(item.sellingPrice), x + 8, y + 42, { width: width - 16 });
+    if (item.barcode) pdf.image(barcodes.get(item.barcode), x + 8, y + 64, { fit: [width - 16, height - 72], align: 'center' });
+  });
+
+  if (!labels.length) pdf.addPage();
+  pdf.end();
+  return done;
+};
+
+// Fixed-width text with plain LF line endings. With escpos, the text is wrapped in
+// ESC/POS commands (initialise, Code 128 barcode, feed and cut) for sending straight to the printer.
+// Plain text has no barcode: it ends with the invoice number printed in full instead. Use escpos
+// or the PDF invoice when the receipt needs to be scanned.
+const renderReceipt = (doc, { paperWidth = 80, escpos = false } = {}) => {
+  const width = RECEIPT_WIDTHS[paperWidth];
+  if (!width) throw badRequest(`width must be one of ${Object.keys(RECEIPT_WIDTHS).join(', ')}`);
+
+  const lines = [];
+  const rule = '-'.repeat(width);
+  const center = (text) => {
+    for (const part of wrap(text)) lines.push(' '.repeat(Math.floor((width - part.length) / 2)) + part);
+  };
+  const wrap = (text) => {
+    const parts = [];
+    let current = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      if (current && current.length + word.length + 1 > width) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+      while (current.length > width) {
+        parts.push(current.slice(0, width));
+        current = current.slice(width);
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  };
+  // Label on the left, amount on the right; long labels are cut to fit
+  const pair = (label, value) => {
+    const right = String(value);
+    const room = width - right.length - 1;
+    lines.push(`${label.slice(0, room).padEnd(room)} ${right}`);
+  };
+
+  center(doc.shop.name);
+  for (const line of [doc.shop.address, doc.shop.phone]) if (line) center(line);
+  if (doc.shop.taxId) center(`Tax ID: ${doc.shop.taxId}`);
+  lines.push(rule);
+  pair('Invoice', doc.number);
+  pair('Date', new Date(doc.date).toLocaleString());
+  if (doc.cashier) pair('Cashier', doc.cashier);
+  pair('Customer', doc.customer.name || '');
+  if (doc.customer.accountNumber) pair('Account', doc.customer.accountNumber);
+  if (doc.customer.phone) pair('Phone', doc.customer.phone);
+  if (doc.customer.address) for (const part of wrap(doc.customer.address)) lines.push(part);
+  lines.push(rule);
+
+  for (const line of doc.lines) {
+    for (const part of wrap(line.detail ? `${line.name} ${line.detail}` : line.name)) lines.push(part);
+    pair(`  ${line.quantity} x ${money(line.price)}`, money(line.total));
+    for (const promotion of line.promotions) pair(`  ${promotion.name}`, money(-promotion.amount));
+    if (line.refundedQuantity) lines.push(`  (${line.refundedQuantity} refunded)`);
+  }
+  lines.push(rule);
+
+  for (const [label, amount] of totalRows(doc)) pair(label, money(amount));
+  lines.push(rule);
+  for (const tender of doc.tenders) {
+    pair(`${tender.method}${tender.reference ? ` ${tender.reference}` : ''}`, money(tender.tendered ?? tender.amount));
+  }
+  if (doc.change) pair('Change', money(doc.change));
+  pair('Paid', money(doc.amountPaid));
+  pair('Balance due', money(doc.amountDue));
+  if (typeof doc.customer.balance === 'number') pair('Account balance', money(doc.customer.balance));
+  lines.push(rule);
+  if (doc.shop.footer) center(doc.shop.footer);
+
+  if (!escpos) {
+    center(doc.number);
+    return `${lines.join('\n')}\n`;
+  }
+
+  const ESC = '\x1b';
+  const GS = '\x1d';
+  const data = `{B${doc.number}`;
+  return [
+    `${ESC}@`, // initialise
+    `${lines.join('\n')}\n\n`,
+    `${ESC}a\x01`, // centre
+    `${GS}h\x50${GS}w\x02${GS}H\x02`, // barcode height, module width, number printed below
+    `${GS}k\x49${String.fromCharCode(data.length)}${data}`, // Code 128
+    `${ESC}a\x00\n\n\n`,
+    `${GS}V\x42\x00`, // feed and cut
+  ].join('');
+};
+
+module.exports = { loadBillDocument, renderInvoicePdf, renderReceipt, renderShelfLabels, RECEIPT_WIDTHS };
@@ -0,0 +1,98 @@
+// services/events.js
+// Domain events. publishEvent writes the event to the outbox inside the caller's
+// transaction, so an event exists exactly when its change committed. A worker then hands
+// each event to in-process listeners (`events.on('bill.created', ...)`) and queues it for
+// the webhooks subscribed to it. Delivery is at least once: receivers should dedupe by id.
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { queueDeliveries, sendDueDeliveries } = require('./webhooks');
+
+const EVENT_TYPES = [
+  'bill.created',
+  'payment.recorded',
+  'refund.created',
+  'item.low_stock',
+  'customer.balance_changed',
+];
+
+const POLL_MS = Number(process.env.EVENT_POLL_MS) || 5000;
+const BATCH_SIZE = 100;
+
+const events = new EventEmitter();
+
+// payment.recorded data, for payments taken at the till and on account alike
+const paymentEventData = (payment) => ({
+  paymentId: payment._id,
+  customerId: payment.customerId,
+  amount: payment.amount,
+  paymentMethod: payment.paymentMethod,
+  tenders: payment.tenders.map(({ method, amount, reference }) => ({ method, amount, reference })),
+  allocations: payment.allocations.map(({ billId, amount }) => ({ billId, amount })),
+  unallocatedAmount: payment.unallocatedAmount,
+  shiftId: payment.shiftId,
+});
+
+const publishEvent = async (type, data, session) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  const [event] = await Event.create([{ type, data }], { session });
+  return event;
+};
+
+// Listeners run after the change has committed. They are also sent '*' with every event.
+// A listener that throws is logged and does not stop the others or the webhooks.
+const emitLocally = (event) => {
+  const payload = { id: event._id, type: event.type, createdAt: event.createdAt, data: event.data };
+  for (const name of [event.type, '*']) {
+    for (const listener of events.rawListeners(name)) {
+      try {
+        Promise.resolve(listener(payload)).catch(err => console.error(`Event listener for ${name} failed:`, err.message));
+      } catch (err) {
+        console.error(`Event listener for ${name} failed:`, err.message);
+      }
+    }
+  }
+};
+
+// Hands new events to listeners and webhooks, oldest first
+const dispatchEvents = async () => {
+  const pending = await Event.find({ dispatchedAt: null }).sort({ createdAt: 1, _id: 1 }).limit(BATCH_SIZE);
+  for (const event of pending) {
+    const claimed = await mongoose.connection.transaction(async (session) => {
+      const claimed = await Event.findOneAndUpdate(
+        { _id: event._id, dispatchedAt: null },
+        { dispatchedAt: new Date() },
+        { new: true, session }
+      );
+      if (claimed) await queueDeliveries(claimed, session);
+      return claimed;
+    });
+    // Another worker got there first
+    if (claimed) emitLocally(claimed);
+  }
+  return pending.length;
+};
+
+let running = false;
+
+const runEventWorker = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await dispatchEvents();
+    await sendDueDeliveries();
+  } catch (err) {
+    console.error('Event worker failed:', err.message, err.stack);
+  } finally {
+    running = false;
+  }
+};
+
+// Polls the outbox every EVENT_POLL_MS. Call once the database is connected.
+const startEventWorker = () => {
+  const timer = setInterval(runEventWorker, POLL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { EVENT_TYPES, events, publishEvent, paymentEventData, startEventWorker };
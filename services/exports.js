@@ -0,0 +1,268 @@
+// services/exports.js
+// Streams a dataset to the response as CSV or XLSX. Documents are read with a cursor and
+// written one row at a time, so large exports never sit in memory as a whole.
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Bill = require('../models/Bill');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const { billLabel } = require('./counters');
+const { dateRange, endOfDay, badRequest } = require('./listing');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const objectIdParam = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) throw badRequest(`Invalid ${name}`);
+  return value;
+};
+
+const archivedParam = (query) => (query.includeArchived === 'true' ? {} : { archived: { $ne: true } });
+
+const billFilter = (query) => {
+  const filter = {};
+  if (query.customerId) filter.customerId = objectIdParam(query.customerId, 'customerId');
+  if (query.status) filter.status = query.status;
+  if (query.paymentType) filter.paymentType = query.paymentType;
+  if (query.shiftId) filter.shiftId = objectIdParam(query.shiftId, 'shiftId');
+  return filter;
+};
+
+const billColumns = {
+  invoiceNumber: (bill) => billLabel(bill),
+  date: (bill) => bill.createdAt,
+  customer: (bill) => bill.customerId?.name || 'Deleted customer',
+  accountNumber: (bill) => bill.customerId?.accountNumber,
+};
+
+const tenderSummary = (tenders = []) => tenders.map(tender => `${tender.method}:${tender.amount}`).join('; ');
+
+// Each dataset: the model, its filters, the populates it needs and the columns it can export.
+// `rows` turns one document into several rows (bill lines); by default a document is one row.
+const DATASETS = {
+  bills: {
+    model: Bill,
+    dateField: 'createdAt',
+    filter: billFilter,
+    populate: [['customerId', 'name accountNumber']],
+    columns: {
+      ...billColumns,
+      status: (bill) => bill.status,
+      paymentType: (bill) => bill.paymentType,
+      subtotal: (bill) => bill.subtotal,
+      markup: (bill) => bill.markup,
+      discount: (bill) => bill.discount,
+      netTotal: (bill) => bill.netTotal,
+      taxTotal: (bill) => bill.taxTotal || 0,
+      grandTotal: (bill) => bill.grandTotal,
+      grandTotalCost: (bill) => bill.grandTotalCost,
+      amountPaid: (bill) => bill.amountPaid ?? bill.partialPayment,
+      amountDue: (bill) => bill.amountDue,
+      refundedTotal: (bill) => bill.refundedTotal || 0,
+      tenders: (bill) => tenderSummary(bill.tenders),
+      itemCount: (bill) => bill.items.length,
+    },
+  },
+  'bill-lines': {
+    model: Bill,
+    dateField: 'createdAt',
+    filter: billFilter,
+    populate: [['customerId', 'name accountNumber'], ['items.itemId', 'name barcode type size']],
+    rows: (bill) => bill.items.map(line => ({ bill, line })),
+    columns: {
+      invoiceNumber: ({ bill }) => billColumns.invoiceNumber(bill),
+      date: ({ bill }) => bill.createdAt,
+      customer: ({ bill }) => billColumns.customer(bill),
+      accountNumber: ({ bill }) => billColumns.accountNumber(bill),
+      item: ({ line }) => line.itemId?.name || 'Deleted item',
+      barcode: ({ line }) => line.itemId?.barcode,
+      type: ({ line }) => line.itemId?.type,
+      size: ({ line }) => line.itemId?.size,
+      quantity: ({ line }) => line.quantity,
+      unitPrice: ({ line }) => line.unitPrice,
+      price: ({ line }) => line.customPrice,
+      total: ({ line }) => line.total,
+      netTotal: ({ line }) => line.netTotal,
+      taxRate: ({ line }) => line.taxRate || 0,
+      taxAmount: ({ line }) => line.taxAmount || 0,
+      grossTotal: ({ line }) => line.grossTotal,
+      unitCost: ({ line }) => line.unitCost,
+      totalCost: ({ line }) => line.totalCost,
+      refundedQuantity: ({ line }) => line.refundedQuantity || 0,
+      refundedAmount: ({ line }) => line.refundedAmount || 0,
+    },
+  },
+  items: {
+    model: Item,
+    sort: { name: 1, _id: 1 },
+    filter: (query) => {
+      const filter = archivedParam(query);
+      if (query.type) filter.type = query.type;
+      if (query.size) filter.size = query.size;
+      if (query.lowStock === 'true') filter.$expr = { $lte: ['$stock', '$lowStockThreshold'] };
+      return filter;
+    },
+    columns: {
+      name: (item) => item.name,
+      barcode: (item) => item.barcode,
+      plu: (item) => item.plu,
+      type: (item) => item.type,
+      size: (item) => item.size,
+      costPrice: (item) => item.costPrice,
+      sellingPrice: (item) => item.sellingPrice,
+      taxRate: (item) => item.taxRate || 0,
+      stock: (item) => item.stock,
+      lowStockThreshold: (item) => item.lowStockThreshold,
+      archived: (item) => Boolean(item.archived),
+    },
+  },
+  customers: {
+    model: Customer,
+    sort: { name: 1, _id: 1 },
+    filter: (query) => {
+      const filter = archivedParam(query);
+      if (query.hasBalance === 'true') filter.balance = { $ne: 0 };
+      return filter;
+    },
+    columns: {
+      accountNumber: (customer) => customer.accountNumber,
+      name: (customer) => customer.name,
+      phone: (customer) => customer.phone,
+      address: (customer) => customer.address,
+      balance: (customer) => customer.balance,
+      archived: (customer) => Boolean(customer.archived),
+    },
+  },
+  payments: {
+    model: Payment,
+    dateField: 'createdAt',
+    filter: (query) => {
+      const filter = {};
+      if (query.customerId) filter.customerId = objectIdParam(query.customerId, 'customerId');
+      if (query.paymentMethod) filter.paymentMethod = query.paymentMethod;
+      if (query.shiftId) filter.shiftId = objectIdParam(query.shiftId, 'shiftId');
+      return filter;
+    },
+    populate: [['customerId', 'name accountNumber']],
+    columns: {
+      date: (payment) => payment.createdAt,
+      customer: (payment) => payment.customerId?.name || 'Deleted customer',
+      accountNumber: (payment) => payment.customerId?.accountNumber,
+      amount: (payment) => payment.amount,
+      paymentMethod: (payment) => payment.paymentMethod,
+      tenders: (payment) => tenderSummary(payment.tenders),
+      allocated: (payment) => (payment.allocations || []).reduce((sum, a) => sum + a.amount, 0),
+      unallocatedAmount: (payment) => payment.unallocatedAmount || 0,
+      description: (payment) => payment.description,
+    },
+  },
+  transactions: {
+    model: Transaction,
+    dateField: 'createdAt',
+    filter: (query) => {
+      const filter = {};
+      if (query.customerId) filter.customerId = objectIdParam(query.customerId, 'customerId');
+      if (query.type) filter.type = query.type;
+      return filter;
+    },
+    populate: [['customerId', 'name accountNumber']],
+    columns: {
+      date: (tx) => tx.createdAt,
+      customer: (tx) => tx.customerId?.name || 'Deleted customer',
+      accountNumber: (tx) => tx.customerId?.accountNumber,
+      type: (tx) => tx.type,
+      amount: (tx) => tx.amount,
+      description: (tx) => tx.description,
+    },
+  },
+};
+
+// Validates the request and returns everything needed to stream it. Throws 400s, so call it
+// before any headers are sent. ?fields=a,b picks and orders columns; ?from=&to= filter by date.
+const prepareExport = (name, query) => {
+  const dataset = DATASETS[name];
+  if (!dataset) throw badRequest(`dataset must be one of ${Object.keys(DATASETS).join(', ')}`);
+  const format = query.format || 'csv';
+  if (!FORMATS.includes(format)) throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+
+  const available = Object.keys(dataset.columns);
+  // ?fields=a&fields=b arrives as an array
+  const fields = query.fields
+    ? [].concat(query.fields).join(',').split(',').map(field => field.trim()).filter(Boolean)
+    : available;
+  const unknown = fields.filter(field => !available.includes(field));
+  if (unknown.length) throw badRequest(`Unknown fields: ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+
+  const filter = dataset.filter(query);
+  if (query.from || query.to) {
+    if (!dataset.dateField) throw badRequest(`${name} cannot be filtered by date`);
+    filter[dataset.dateField] = dateRange(query.from, endOfDay(query.to));
+  }
+
+  return { name, dataset, format, fields, filter };
+};
+
+// Quotes values containing separators, quotes or line breaks. Text starting with a formula
+// character gets a leading apostrophe so spreadsheets show it instead of evaluating it.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xlsxCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) return `'${value}`;
+  return value;
+};
+
+const documentRows = async function* ({ dataset, filter }) {
+  let find = dataset.model.find(filter).sort(dataset.sort || { [dataset.dateField]: 1, _id: 1 });
+  for (const [path, select] of dataset.populate || []) find = find.populate(path, select);
+  for await (const doc of find.lean().cursor()) {
+    for (const row of dataset.rows ? dataset.rows(doc) : [doc]) yield row;
+  }
+};
+
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+// Sends the export prepared by prepareExport. A failure after the first row can no longer
+// be reported as JSON, so the connection is cut and the client sees an incomplete download.
+const streamExport = async (res, { name, dataset, format, fields }, rows) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`${name}-${stamp}.${format}`);
+  const values = (row) => fields.map(field => dataset.columns[field](row));
+
+  try {
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel detects UTF-8
+      await writeChunk(res, `\uFEFF${fields.join(',')}\r\n`);
+      for await (const row of rows) await writeChunk(res, `${values(row).map(csvCell).join(',')}\r\n`);
+      res.end();
+      return;
+    }
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = fields.map(field => ({ header: field, key: field, width: Math.max(field.length + 2, 12) }));
+    sheet.getRow(1).font = { bold: true };
+    for await (const row of rows) sheet.addRow(values(row).map(xlsxCell)).commit();
+    sheet.commit();
+    await workbook.commit();
+  } catch (err) {
+    console.error(`Error exporting ${name}:`, err.message, err.stack);
+    res.destroy(err);
+  }
+};
+
+const exportDataset = (res, prepared) => streamExport(res, prepared, documentRows(prepared));
+
+module.exports = { DATASETS, prepareExport, exportDataset };
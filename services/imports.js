@@ -0,0 +1,220 @@
+// services/imports.js
+// Bulk CSV import of items and customers. Every row is checked first; nothing is written
+// unless the whole file is valid, and then all rows are written in one transaction.
+// With upsert, a row whose barcode/accountNumber already exists updates that record
+// instead of being reported as a duplicate.
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const { moveStock } = require('./stock');
+const { recordAudit } = require('./audit');
+const { badRequest } = require('./listing');
+
+const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS) || 5000;
+
+// Column name -> 'string' | 'number'. `key` matches rows to existing records; `locked` columns
+// can be set on create but go through their own ledger flows afterwards. `unique` lists the
+// other columns with a unique index, checked per row so they never reach the index.
+const IMPORTS = {
+  items: {
+    model: Item,
+    entityType: 'Item',
+    key: 'barcode',
+    unique: ['plu'],
+    locked: { field: 'stock', message: 'stock cannot be changed by import; use a stock adjustment' },
+    columns: {
+      name: 'string',
+      barcode: 'string',
+      plu: 'string',
+      type: 'string',
+      size: 'string',
+      costPrice: 'number',
+      sellingPrice: 'number',
+      taxRate: 'number',
+      lowStockThreshold: 'number',
+      stock: 'number',
+    },
+  },
+  customers: {
+    model: Customer,
+    entityType: 'Customer',
+    key: 'accountNumber',
+    unique: [],
+    locked: { field: 'balance', message: 'balance cannot be changed by import; use a balance adjustment' },
+    columns: {
+      accountNumber: 'string',
+      name: 'string',
+      phone: 'string',
+      address: 'string',
+      balance: 'number',
+    },
+  },
+};
+
+const parseCsv = (text) => {
+  let records;
+  try {
+    records = parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+  } catch (err) {
+    throw badRequest(`Invalid CSV: ${err.message}`);
+  }
+  if (!records.length) throw badRequest('CSV has no rows');
+  if (records.length > MAX_IMPORT_ROWS) throw badRequest(`CSV has more than ${MAX_IMPORT_ROWS} rows`);
+  return records;
+};
+
+// Typed field values from one CSV record; empty cells are left out
+const readRecord = (record, columns, errors) => {
+  const fields = {};
+  for (const [column, type] of Object.entries(columns)) {
+    const raw = record[column];
+    if (raw === undefined || raw === '') continue;
+    if (type === 'number') {
+      const value = Number(raw);
+      if (Number.isNaN(value)) errors.push(`${column} must be a number`);
+      else fields[column] = value;
+    } else {
+      fields[column] = raw;
+    }
+  }
+  return fields;
+};
+
+const validationMessages = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map(e => e.message) : [];
+};
+
+// Checks specific to one kind of record, on top of the schema validation
+const extraChecks = {
+  items: (fields, existing, errors) => {
+    if (fields.costPrice !== undefined && !(fields.costPrice > 0)) errors.push('Valid costPrice is required');
+    if (!existing && fields.stock !== undefined && fields.stock < 0) errors.push('stock must be non-negative');
+  },
+  customers: () => {},
+};
+
+// Works out what each row would do: { row, action: 'create' | 'update', key, fields, existing, errors }
+const planImport = async (kind, records, { upsert }) => {
+  const config = IMPORTS[kind];
+  const unknown = Object.keys(records[0]).filter(column => !config.columns[column]);
+  if (unknown.length) {
+    throw badRequest(`Unknown columns: ${unknown.join(', ')}. Expected: ${Object.keys(config.columns).join(', ')}`);
+  }
+
+  const keys = records.map(record => record[config.key]).filter(Boolean);
+  const existingByKey = new Map((await config.model.find({ [config.key]: { $in: keys } })).map(doc => [doc[config.key], doc]));
+  const seen = new Set();
+
+  // Unique column -> Map of value -> id of the record that already has it
+  const taken = new Map();
+  for (const field of config.unique) {
+    const values = records.map(record => record[field]).filter(Boolean);
+    const docs = await config.model.find({ [field]: { $in: values } }).select(field).lean();
+    taken.set(field, new Map(docs.map(doc => [doc[field], doc._id])));
+  }
+  const seenUnique = new Map(config.unique.map(field => [field, new Set()]));
+
+  return records.map((record, index) => {
+    const errors = [];
+    const fields = readRecord(record, config.columns, errors);
+    const key = fields[config.key];
+
+    if (key && seen.has(key)) errors.push(`${config.key} ${key} appears more than once in the file`);
+    if (key) seen.add(key);
+
+    const existing = key ? existingByKey.get(key) : undefined;
+    if (existing && !upsert) errors.push(`${config.key} ${key} already exists`);
+
+    for (const field of config.unique) {
+      const value = fields[field];
+      if (value === undefined) continue;
+      if (seenUnique.get(field).has(value)) errors.push(`${field} ${value} appears more than once in the file`);
+      seenUnique.get(field).add(value);
+      const owner = taken.get(field).get(value);
+      if (owner && !owner.equals(existing?._id)) errors.push(`${field} ${value} is already used by another record`);
+    }
+    extraChecks[kind](fields, existing, errors);
+
+    let before;
+    if (existing) {
+      const { [config.key]: _key, [config.locked.field]: locked, ...updates } = fields;
+      if (locked !== undefined && locked !== existing[config.locked.field]) errors.push(config.locked.message);
+      before = existing.toObject();
+      existing.set(updates);
+      errors.push(...validationMessages(existing));
+    } else {
+      errors.push(...validationMessages(new config.model({ ...fields, [config.locked.field]: 0 })));
+    }
+
+    // Line 1 of the file is the header
+    return { row: index + 2, action: existing ? 'update' : 'create', key, fields, existing, before, errors };
+  });
+};
+
+const createRecord = {
+  items: async (req, { stock, ...fields }, session) => {
+    const [created] = await Item.create([{ ...fields, stock: 0 }], { session });
+    if (!stock) return created;
+    return moveStock({
+      itemId: created._id,
+      quantity: stock,
+      type: 'opening',
+      unitCost: created.costPrice,
+      note: 'Imported',
+      userId: req.user.id,
+    }, session);
+  },
+  customers: async (req, fields, session) => {
+    const [customer] = await Customer.create([fields], { session });
+    if (customer.balance) {
+      await Transaction.create([{
+        customerId: customer._id,
+        amount: customer.balance,
+        type: 'opening',
+        description: 'Opening balance (imported)',
+      }], { session });
+    }
+    return customer;
+  },
+};
+
+// Message for a unique index error that still gets through, e.g. a row added by someone else
+// while the import was running
+const duplicateKeyMessage = (err) => {
+  const [field, value] = Object.entries(err.keyValue || {})[0] || [];
+  return field ? `Duplicate ${field} ${value} in import` : 'Duplicate value in import';
+};
+
+// Returns the per-row report. Unless dryRun, writes everything when no row has errors.
+const runImport = async (req, kind, csv, { dryRun = false, upsert = false } = {}) => {
+  const config = IMPORTS[kind];
+  const plan = await planImport(kind, parseCsv(csv), { upsert });
+  const errors = plan.filter(row => row.errors.length).map(({ row, key, errors }) => ({ row, key, errors }));
+  const report = {
+    dryRun,
+    upsert,
+    total: plan.length,
+    create: plan.filter(row => row.action === 'create').length,
+    update: plan.filter(row => row.action === 'update').length,
+    errors,
+  };
+  if (dryRun || errors.length) return { ...report, imported: false };
+
+  await mongoose.connection.transaction(async (session) => {
+    for (const row of plan) {
+      if (row.action === 'create') {
+        const created = await createRecord[kind](req, row.fields, session);
+        await recordAudit(req, { action: 'import', entityType: config.entityType, after: created }, session);
+      } else {
+        await row.existing.save({ session });
+        await recordAudit(req, { action: 'import', entityType: config.entityType, before: row.before, after: row.existing }, session);
+      }
+    }
+  });
+  return { ...report, imported: true };
+};
+
+module.exports = { runImport, duplicateKeyMessage };
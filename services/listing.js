@@ -0,0 +1,54 @@
+// services/listing.js
+// Shared paging, sorting and filter helpers for the list endpoints.
+// Every list responds with { data, total, page, limit, pages }.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+// ?page=2&limit=50&sort=-createdAt  (sort fields are whitelisted per endpoint)
+const parseListOptions = (query, { sortFields, defaultSort }) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let sort = defaultSort;
+  if (query.sort) {
+    const field = query.sort.replace(/^-/, '');
+    if (!sortFields.includes(field)) throw badRequest(`sort must be one of ${sortFields.join(', ')}`);
+    sort = { [field]: query.sort.startsWith('-') ? -1 : 1 };
+  }
+  // Tie-break on _id so pages stay stable when the sort field has duplicates
+  return { page, limit, skip: (page - 1) * limit, sort: { ...sort, _id: sort._id || -1 } };
+};
+
+// { $gte, $lte } for ?from=&to=, or undefined when neither is given
+const dateRange = (from, to) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date.getTime()))) throw badRequest('Invalid date range');
+  if (range.$gte && range.$lte && range.$gte > range.$lte) throw badRequest('Invalid date range');
+  return range;
+};
+
+// A date-only `to` (YYYY-MM-DD) means the whole of that day
+const endOfDay = (to) => (/^\d{4}-\d{2}-\d{2}$/.test(to || '') ? `${to}T23:59:59.999Z` : to);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "starts with" match
+const prefixMatch = (value) => new RegExp(`^${escapeRegex(String(value))}`, 'i');
+
+// Runs the page query and the count together. `decorate` adds populate/select to the find.
+const listPage = async (Model, filter, options, decorate = (query) => query) => {
+  const [data, total] = await Promise.all([
+    decorate(Model.find(filter).sort(options.sort).skip(options.skip).limit(options.limit)),
+    Model.countDocuments(filter),
+  ]);
+  return { data, total, page: options.page, limit: options.limit, pages: Math.ceil(total / options.limit) };
+};
+
+module.exports = { parseListOptions, dateRange, endOfDay, prefixMatch, escapeRegex, listPage, badRequest, notFound };
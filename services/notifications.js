@@ -0,0 +1,28 @@
+// services/notifications.js
+const Notification = require('../models/Notification');
+const { publishEvent } = require('./events');
+
+// Stored when a stock move takes an item from above its threshold to at or below it,
+// so each drop produces one notification rather than one per sale.
+const notifyLowStock = async (item, previousStock, source, session) => {
+  const threshold = item.lowStockThreshold;
+  if (!(item.stock <= threshold && previousStock > threshold)) return null;
+
+  const [notification] = await Notification.create([{
+    type: 'low_stock',
+    itemId: item._id,
+    message: `${item.name} is low on stock: ${item.stock} left (threshold ${threshold})`,
+    data: { stock: item.stock, lowStockThreshold: threshold, ...source },
+  }], { session });
+  await publishEvent('item.low_stock', {
+    itemId: item._id,
+    name: item.name,
+    barcode: item.barcode,
+    stock: item.stock,
+    lowStockThreshold: threshold,
+    ...source,
+  }, session);
+  return notification;
+};
+
+module.exports = { notifyLowStock };
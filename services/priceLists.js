@@ -0,0 +1,69 @@
+// services/priceLists.js
+// Picks the list price for each bill line. A customer's own price list is tried first, then
+// the shop's default list; items on neither sell at their catalog sellingPrice.
+const PriceList = require('../models/PriceList');
+const { badRequest } = require('./listing');
+
+const isValidOn = (list, date) => list.active
+  && (!list.validFrom || list.validFrom <= date)
+  && (!list.validTo || list.validTo >= date);
+
+// Lists to try for a customer, most specific first
+const listsForCustomer = async (customer, date = new Date()) => {
+  const [own, fallback] = await Promise.all([
+    customer?.priceListId ? PriceList.findById(customer.priceListId).lean() : null,
+    PriceList.findOne({ isDefault: true }).lean(),
+  ]);
+  const lists = [own, fallback].filter(list => list && isValidOn(list, date));
+  return lists.filter((list, i) => lists.findIndex(other => other._id.equals(list._id)) === i);
+};
+
+const minQuantityOf = (tier) => tier.minQuantity ?? 1;
+
+// The tier with the highest minQuantity the quantity reaches. An item's base tier
+// (minQuantity 1 or less) also covers smaller quantities, e.g. 0.45 kg of something weighed.
+const tierFor = (list, itemId, quantity) => {
+  const tiers = list.prices
+    .filter(tier => tier.itemId.toString() === itemId)
+    .sort((a, b) => minQuantityOf(b) - minQuantityOf(a));
+  const base = tiers[tiers.length - 1];
+  return tiers.find(tier => minQuantityOf(tier) <= quantity)
+    || (base && minQuantityOf(base) <= 1 && quantity > 0 ? base : undefined);
+};
+
+// Returns { priceList, prices } where prices maps itemId -> { price, priceListId }. Quantity
+// breaks look at the item's total quantity on the bill, not each line on its own.
+const resolveListPrices = async (customer, lines, date = new Date()) => {
+  const lists = await listsForCustomer(customer, date);
+  const quantities = new Map();
+  for (const line of lines) {
+    if (!line.itemId || typeof line.quantity !== 'number') continue;
+    const id = line.itemId.toString();
+    quantities.set(id, (quantities.get(id) || 0) + line.quantity);
+  }
+
+  const prices = new Map();
+  for (const [itemId, quantity] of quantities) {
+    for (const list of lists) {
+      const tier = tierFor(list, itemId, quantity);
+      if (tier) {
+        prices.set(itemId, { price: tier.price, priceListId: list._id });
+        break;
+      }
+    }
+  }
+  return { priceList: lists[0] || null, prices };
+};
+
+// Checks that the schema can't express: date order and one price per item and tier
+const checkPriceList = (list) => {
+  if (list.validFrom && list.validTo && new Date(list.validFrom) > new Date(list.validTo)) throw badRequest('validFrom must be before validTo');
+  const seen = new Set();
+  for (const [index, tier] of (list.prices || []).entries()) {
+    const key = `${tier.itemId}:${minQuantityOf(tier)}`;
+    if (seen.has(key)) throw badRequest(`Price ${index}: item ${tier.itemId} has two prices for minQuantity ${minQuantityOf(tier)}`);
+    seen.add(key);
+  }
+};
+
+module.exports = { tierFor, resolveListPrices, checkPriceList };
@@ -0,0 +1,113 @@
+// services/pricing.js
+// Builds bill lines and totals from the Item catalog. The client only sends
+// itemId/quantity (and optionally a customPrice override); every amount is computed here.
+
+// How far the list price (sellingPrice, or the customer's price list) each role may override
+// a line price, up or down (percent).
+// Roles not listed here cannot override prices at all.
+const OVERRIDE_LIMITS = {
+  cashier: 5,
+  manager: 20,
+  admin: 100,
+};
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+const checkPercent = (value, name) => {
+  if (value === undefined) return 0;
+  if (typeof value !== 'number' || value < 0 || value > 100) throw new Error(`${name} must be 0–100`);
+  return value;
+};
+
+const resolveUnitPrice = (dbItem, price, line, role, index) => {
+  if (line.customPrice === undefined || line.customPrice === price) return price;
+  if (typeof line.customPrice !== 'number' || line.customPrice <= 0) {
+    throw new Error(`Item ${index}: customPrice must be positive`);
+  }
+
+  const limit = OVERRIDE_LIMITS[role];
+  if (limit === undefined) throw new Error(`Item ${index}: role ${role} cannot override prices`);
+  const minPrice = price * (1 - limit / 100);
+  const maxPrice = price * (1 + limit / 100);
+  if (line.customPrice < minPrice - 0.001) {
+    throw new Error(`Item ${index}: customPrice below allowed minimum of ${round2(minPrice)} for ${dbItem.name}`);
+  }
+  if (line.customPrice > maxPrice + 0.001) {
+    throw new Error(`Item ${index}: customPrice above allowed maximum of ${round2(maxPrice)} for ${dbItem.name}`);
+  }
+  return line.customPrice;
+};
+
+// lines: [{ itemId, quantity, customPrice? }] as sent by the client
+// itemsById: Map of itemId string -> Item document
+// listPrices: Map of itemId string -> { price, priceListId } from services/priceLists; these
+// replace sellingPrice as the line's unitPrice and as the base for override limits
+// lineDiscounts: per line index, [{ promotionId, name, amount }] from services/promotions
+const priceBill = (lines, itemsById, { markup, discount, role, listPrices = new Map(), lineDiscounts = [] } = {}) => {
+  markup = checkPercent(markup, 'markup');
+  discount = checkPercent(discount, 'discount');
+  const factor = (1 + markup / 100) * (1 - discount / 100);
+
+  const taxByRate = new Map();
+  const items = lines.map((line, index) => {
+    if (!line.itemId) throw new Error(`Item ${index}: itemId required`);
+    if (typeof line.quantity !== 'number' || line.quantity <= 0) {
+      throw new Error(`Item ${index}: quantity must be positive`);
+    }
+    const dbItem = itemsById.get(line.itemId.toString());
+    if (!dbItem) throw new Error(`Item ${index}: Item not found: ${line.itemId}`);
+    if (dbItem.archived) throw new Error(`Item ${index}: ${dbItem.name} is archived`);
+    if (!dbItem.costPrice && dbItem.costPrice !== 0) throw new Error(`Item ${index}: costPrice missing`);
+
+    const listed = listPrices.get(dbItem._id.toString());
+    const unitPrice = listed ? listed.price : dbItem.sellingPrice;
+    const customPrice = resolveUnitPrice(dbItem, unitPrice, line, role, index);
+    const taxRate = dbItem.taxRate || 0;
+    const total = round2(line.quantity * customPrice);
+    const promotions = lineDiscounts[index] || [];
+    const promotionDiscount = round2(promotions.reduce((acc, promotion) => acc + promotion.amount, 0));
+    const netTotal = round2((total - promotionDiscount) * factor);
+    const taxAmount = round2(netTotal * taxRate / 100);
+
+    const bucket = taxByRate.get(taxRate) || { rate: taxRate, net: 0, tax: 0 };
+    bucket.net = round2(bucket.net + netTotal);
+    bucket.tax = round2(bucket.tax + taxAmount);
+    taxByRate.set(taxRate, bucket);
+
+    return {
+      itemId: dbItem._id,
+      quantity: line.quantity,
+      unitPrice,
+      customPrice,
+      priceListId: listed?.priceListId,
+      unitCost: dbItem.costPrice,
+      total,
+      promotions,
+      promotionDiscount,
+      totalCost: round2(line.quantity * dbItem.costPrice),
+      taxRate,
+      netTotal,
+      taxAmount,
+      grossTotal: round2(netTotal + taxAmount),
+    };
+  });
+
+  const sum = (field) => round2(items.reduce((acc, item) => acc + item[field], 0));
+  const netTotal = sum('netTotal');
+  const taxTotal = sum('taxAmount');
+
+  return {
+    items,
+    subtotal: sum('total'),
+    promotionDiscount: sum('promotionDiscount'),
+    markup,
+    discount,
+    netTotal,
+    taxTotal,
+    taxBreakdown: [...taxByRate.values()].sort((a, b) => a.rate - b.rate),
+    grandTotal: round2(netTotal + taxTotal),
+    grandTotalCost: sum('totalCost'),
+  };
+};
+
+module.exports = { priceBill, round2, OVERRIDE_LIMITS };
@@ -0,0 +1,151 @@
+// services/promotions.js
+// Works out which promotions a bill qualifies for and what each takes off which line.
+// Each line gets at most one line promotion (buy X get Y or percent off, whichever saves
+// more); then the best spend-threshold promotion is spread over the lines by value.
+// Every discount is stored on its line with the promotion that produced it, so refunds
+// give back what the customer actually paid and reports can total each promotion.
+const Promotion = require('../models/Promotion');
+const { priceBill, round2 } = require('./pricing');
+const { badRequest } = require('./listing');
+
+const isRunning = (promotion, date) => promotion.active
+  && (!promotion.startsAt || promotion.startsAt <= date)
+  && (!promotion.endsAt || promotion.endsAt >= date)
+  && (!promotion.usageLimit || (promotion.usageCount || 0) < promotion.usageLimit);
+
+// Automatic promotions plus the coupon, if one was entered. An unknown, expired or
+// used-up coupon is an error rather than silently ignored.
+const loadPromotions = async ({ couponCode, date = new Date() } = {}) => {
+  const code = couponCode ? String(couponCode).trim().toUpperCase() : null;
+  const promotions = await Promotion.find({
+    active: true,
+    $or: [{ couponCode: null }, ...(code ? [{ couponCode: code }] : [])],
+  }).lean();
+
+  if (code) {
+    const coupon = promotions.find(promotion => promotion.couponCode === code);
+    if (!coupon) throw badRequest(`Unknown coupon code: ${code}`);
+    if (!isRunning(coupon, date)) throw badRequest(`Coupon ${code} has expired or reached its usage limit`);
+  }
+  return promotions.filter(promotion => isRunning(promotion, date));
+};
+
+const appliesTo = (promotion, item) => {
+  const byItem = promotion.itemIds?.length > 0;
+  const byCategory = promotion.categories?.length > 0;
+  if (!byItem && !byCategory) return true;
+  return (byItem && promotion.itemIds.some(id => id.toString() === item._id.toString()))
+    || (byCategory && promotion.categories.includes(item.type));
+};
+
+// Free units for buy X get Y, counted over all lines of the same item and given on the
+// cheapest units first. Returns Map of line index -> amount.
+const buyXGetYDiscounts = (promotion, lines, itemsById) => {
+  const discounts = new Map();
+  const groupSize = promotion.buyQuantity + promotion.freeQuantity;
+  const byItem = new Map();
+  lines.forEach((line, index) => {
+    if (!appliesTo(promotion, itemsById.get(line.itemId.toString()))) return;
+    const id = line.itemId.toString();
+    byItem.set(id, [...(byItem.get(id) || []), index]);
+  });
+
+  for (const indexes of byItem.values()) {
+    const quantity = indexes.reduce((acc, index) => acc + lines[index].quantity, 0);
+    let free = Math.floor(quantity / groupSize) * promotion.freeQuantity;
+    const cheapestFirst = [...indexes].sort((a, b) => lines[a].customPrice - lines[b].customPrice);
+    for (const index of cheapestFirst) {
+      if (free <= 0) break;
+      const units = Math.min(free, Math.floor(lines[index].quantity));
+      if (units > 0) discounts.set(index, round2(units * lines[index].customPrice));
+      free -= units;
+    }
+  }
+  return discounts;
+};
+
+const percentOffDiscounts = (promotion, lines, itemsById) => {
+  const discounts = new Map();
+  lines.forEach((line, index) => {
+    if (appliesTo(promotion, itemsById.get(line.itemId.toString()))) {
+      discounts.set(index, round2(line.total * promotion.percent / 100));
+    }
+  });
+  return discounts;
+};
+
+const LINE_RULES = {
+  buy_x_get_y: buyXGetYDiscounts,
+  percent_off: percentOffDiscounts,
+};
+
+// lines: priced lines from priceBill (before promotions). Returns { lineDiscounts, applied }
+// where lineDiscounts[index] = [{ promotionId, name, amount }].
+const evaluatePromotions = (lines, itemsById, promotions) => {
+  const best = lines.map(() => null);
+  for (const promotion of promotions) {
+    const rule = LINE_RULES[promotion.type];
+    if (!rule) continue;
+    for (const [index, amount] of rule(promotion, lines, itemsById)) {
+      const capped = Math.min(amount, lines[index].total);
+      if (capped > 0 && (!best[index] || capped > best[index].amount)) {
+        best[index] = { promotionId: promotion._id, name: promotion.name, amount: capped };
+      }
+    }
+  }
+  const lineDiscounts = best.map(discount => (discount ? [discount] : []));
+
+  // Spend thresholds look at what is left after the line promotions
+  const remaining = lines.map((line, index) => round2(line.total - (best[index]?.amount || 0)));
+  const spend = round2(remaining.reduce((acc, value) => acc + value, 0));
+  const threshold = promotions
+    .filter(promotion => promotion.type === 'amount_off_threshold' && spend > 0 && spend >= (promotion.minSpend || 0))
+    .sort((a, b) => b.amount - a.amount)[0];
+  if (threshold) {
+    const amount = Math.min(threshold.amount, spend);
+    let left = round2(amount);
+    remaining.forEach((value, index) => {
+      if (value <= 0) return;
+      const isLast = remaining.slice(index + 1).every(rest => rest <= 0);
+      const share = isLast ? left : Math.min(left, round2(amount * value / spend));
+      left = round2(left - share);
+      if (share > 0) lineDiscounts[index].push({ promotionId: threshold._id, name: threshold.name, amount: share });
+    });
+  }
+
+  const applied = promotions.filter(promotion => lineDiscounts.some(discounts => discounts.some(d => d.promotionId.equals(promotion._id))));
+  return { lineDiscounts, applied };
+};
+
+// priceBill with the eligible promotions applied. A coupon that was entered but gives
+// nothing on this bill is refused so the cashier can tell the customer.
+const priceWithPromotions = async (lines, itemsById, options, { couponCode, date } = {}) => {
+  const promotions = await loadPromotions({ couponCode, date });
+  const base = priceBill(lines, itemsById, options);
+  const { lineDiscounts, applied } = evaluatePromotions(base.items, itemsById, promotions);
+
+  const code = couponCode ? String(couponCode).trim().toUpperCase() : undefined;
+  if (code && !applied.some(promotion => promotion.couponCode === code)) {
+    throw badRequest(`Coupon ${code} does not apply to this bill`);
+  }
+  const pricing = priceBill(lines, itemsById, { ...options, lineDiscounts });
+  return { ...pricing, couponCode: code, promotions: applied.map(({ _id, name, type }) => ({ promotionId: _id, name, type })) };
+};
+
+// Counts one use of each promotion on a bill, inside the bill's transaction. Fails when a
+// limited promotion ran out between pricing and saving.
+const recordPromotionUsage = async (promotionIds, session) => {
+  for (const promotionId of promotionIds) {
+    const result = await Promotion.updateOne(
+      {
+        _id: promotionId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+      },
+      { $inc: { usageCount: 1 } },
+      { session }
+    );
+    if (!result.matchedCount) throw badRequest('A promotion on this bill has reached its usage limit');
+  }
+};
+
+module.exports = { priceWithPromotions, evaluatePromotions, recordPromotionUsage };
@@ -0,0 +1,98 @@
+// services/reconciliation.js
+// Rebuilds each customer's expected balance from the source documents and compares it
+// with Customer.balance and with the Transaction ledger.
+//
+//   expected = opening + adjustments + bills - payments - refunds + cash paid out for refunds
+//
+// Payments taken at the till with a bill are Payment documents too, so they are counted once.
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const { round2 } = require('./pricing');
+const { recordAudit } = require('./audit');
+const { changeBalance } = require('./accounts');
+const { badRequest } = require('./listing');
+
+const TOLERANCE = 0.005;
+
+const sumByCustomer = async (Model, field, match = {}) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$customerId', total: { $sum: `$${field}` } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.total]));
+};
+
+// customerIds: optional list to limit the run; otherwise every customer
+const reconcileBalances = async ({ customerIds } = {}) => {
+  const invalid = (customerIds || []).filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length) throw badRequest(`Invalid customer ids: ${invalid.join(', ')}`);
+  const customerFilter = customerIds?.length ? { _id: { $in: customerIds } } : {};
+  const match = customerIds?.length
+    ? { customerId: { $in: customerIds.map(id => new mongoose.Types.ObjectId(id)) } }
+    : {};
+
+  const [customers, bills, payments, refunds, paidOut, manual, ledger] = await Promise.all([
+    Customer.find(customerFilter).select('name accountNumber balance').lean(),
+    sumByCustomer(Bill, 'grandTotal', match),
+    sumByCustomer(Payment, 'amount', match),
+    sumByCustomer(Refund, 'amount', match),
+    sumByCustomer(Refund, 'paidOut', match),
+    sumByCustomer(Transaction, 'amount', { ...match, type: { $in: ['opening', 'adjustment'] } }),
+    sumByCustomer(Transaction, 'amount', match),
+  ]);
+
+  const results = customers.map(customer => {
+    const id = customer._id.toString();
+    const expectedBalance = round2(
+      (manual.get(id) || 0) + (bills.get(id) || 0) - (payments.get(id) || 0) - (refunds.get(id) || 0)
+        + (paidOut.get(id) || 0)
+    );
+    const ledgerBalance = round2(ledger.get(id) || 0);
+    const storedBalance = round2(customer.balance || 0);
+    return {
+      customerId: customer._id,
+      name: customer.name,
+      accountNumber: customer.accountNumber,
+      storedBalance,
+      expectedBalance,
+      ledgerBalance,
+      difference: round2(storedBalance - expectedBalance),
+      ledgerDifference: round2(ledgerBalance - expectedBalance),
+    };
+  });
+
+  const discrepancies = results.filter(r =>
+    Math.abs(r.difference) > TOLERANCE || Math.abs(r.ledgerDifference) > TOLERANCE);
+  return { checked: results.length, discrepancies };
+};
+
+// Corrects each stored balance that differs from the documents back to the documented
+// figure. The ledger is built from the same documents, so no ledger row is written; the audit
+// entry keeps the balance before and after, and the note says why. All corrections and their
+// audit entries commit together or not at all. Missing ledger rows (ledgerDifference) are
+// reported only; they need a person to look at them.
+// req is the request being audited; the CLI passes none.
+const applyAdjustments = (discrepancies, { note, req = {} } = {}) => mongoose.connection.transaction(async (session) => {
+  const corrections = [];
+  for (const row of discrepancies) {
+    if (Math.abs(row.difference) <= TOLERANCE) continue;
+    const before = await Customer.findById(row.customerId).session(session);
+    if (!before) continue;
+    const customer = await changeBalance(row.customerId, -row.difference, { sourceType: 'Reconciliation' }, session);
+    await recordAudit(req, {
+      action: 'reconcile',
+      entityType: 'Customer',
+      before,
+      after: customer,
+      note: note || `Balance ${row.storedBalance} corrected to documents ${row.expectedBalance}`,
+    }, session);
+    corrections.push({ customerId: customer._id, previousBalance: row.storedBalance, balance: round2(customer.balance) });
+  }
+  return corrections;
+});
+
+module.exports = { reconcileBalances, applyAdjustments };
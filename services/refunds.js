@@ -0,0 +1,64 @@
+// services/refunds.js
+// Works out what a (partial) refund is worth from the prices stored on the bill lines,
+// so the amount always matches what the customer actually paid for the returned units.
+const { round2 } = require('./pricing');
+
+// Bills created before server-side pricing have no grossTotal; rebuild it from markup/discount
+const lineGross = (bill, line) => {
+  if (typeof line.grossTotal === 'number') return line.grossTotal;
+  return round2(line.total * (1 + (bill.markup || 0) / 100) * (1 - (bill.discount || 0) / 100));
+};
+
+// Picks the bill line a requested refund item refers to: by lineId when given,
+// otherwise the first line for that itemId that still has units left to return
+const findLine = (bill, requested, index) => {
+  if (requested.lineId) {
+    const line = bill.items.id(requested.lineId);
+    if (!line) throw new Error(`Item ${index}: line ${requested.lineId} is not on this bill`);
+    return line;
+  }
+  if (!requested.itemId) throw new Error(`Item ${index}: lineId or itemId required`);
+  const lines = bill.items.filter(line => line.itemId.toString() === requested.itemId.toString());
+  if (!lines.length) throw new Error(`Item ${index}: item ${requested.itemId} is not on this bill`);
+  return lines.find(line => (line.refundedQuantity || 0) < line.quantity) || lines[0];
+};
+
+// Applies the requested returns to the bill lines in place and returns the refund lines
+// and total. The caller is responsible for saving the bill.
+const applyRefund = (bill, requestedItems) => {
+  const items = requestedItems.map((requested, index) => {
+    if (typeof requested.quantity !== 'number' || requested.quantity <= 0) {
+      throw new Error(`Item ${index}: quantity must be positive`);
+    }
+    const line = findLine(bill, requested, index);
+    const alreadyRefunded = line.refundedQuantity || 0;
+    const remaining = line.quantity - alreadyRefunded;
+    if (requested.quantity > remaining) {
+      throw new Error(`Item ${index}: only ${remaining} of item ${line.itemId} left to refund`);
+    }
+
+    const gross = lineGross(bill, line);
+    // The last units returned take whatever is left so rounding never leaves a few paisa behind
+    const amount = requested.quantity === remaining
+      ? round2(gross - (line.refundedAmount || 0))
+      : round2(gross / line.quantity * requested.quantity);
+
+    line.refundedQuantity = alreadyRefunded + requested.quantity;
+    line.refundedAmount = round2((line.refundedAmount || 0) + amount);
+
+    return {
+      itemId: line.itemId,
+      lineId: line._id,
+      quantity: requested.quantity,
+      amount,
+    };
+  });
+
+  const fullyRefunded = bill.items.every(line => (line.refundedQuantity || 0) >= line.quantity);
+  bill.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  bill.refundedTotal = round2((bill.refundedTotal || 0) + items.reduce((sum, item) => sum + item.amount, 0));
+
+  return { items, amount: round2(items.reduce((sum, item) => sum + item.amount, 0)) };
+};
+
+module.exports = { applyRefund };
@@ -0,0 +1,363 @@
+// services/salesReports.js
+// Sales, tax and margin reports. All of them take the same window as /api/reports/sales:
+// ?period=daily|weekly|monthly (last 30 days, 12 weeks, 12 months) or
+// ?period=custom&startDate=&endDate=. Every bill counts, whether paid at the till or on credit.
+//
+// Line figures are net of refunds: a line keeps (quantity - refundedQuantity) / quantity of its
+// revenue, tax and cost, so a return lowers the numbers of the period the bill was made in.
+const Bill = require('../models/Bill');
+const Item = require('../models/Item');
+const { round2 } = require('./pricing');
+const { dateRange, endOfDay, badRequest } = require('./listing');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'custom'];
+
+// { period, createdAt } where createdAt is the $match range for the window
+const reportWindow = ({ period, startDate, endDate } = {}) => {
+  if (!PERIODS.includes(period)) throw badRequest('Invalid period');
+  if (period === 'custom') {
+    if (!startDate || !endDate) throw badRequest('Start and end dates required');
+    return { period, createdAt: dateRange(startDate, endOfDay(endDate)) };
+  }
+  const since = new Date();
+  if (period === 'daily') since.setDate(since.getDate() - 30);
+  else if (period === 'weekly') since.setDate(since.getDate() - 84);
+  else since.setMonth(since.getMonth() - 12);
+  return { period, createdAt: { $gte: since } };
+};
+
+// Bucket key for a bill date: 2026-05-14, 2026-W19 or 2026-05. Weeks are ISO weeks with
+// their ISO year, so the days around New Year fall in one bucket.
+const periodKey = (period) => {
+  if (period === 'weekly') return { $dateToString: { format: '%G-W%V', date: '$createdAt' } };
+  if (period === 'monthly') return { $dateToString: { format: '%Y-%m', date: '$createdAt' } };
+  return { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } };
+};
+
+const windowInfo = (window) => ({
+  period: window.period,
+  from: window.createdAt?.$gte || null,
+  to: window.createdAt?.$lte || null,
+});
+
+// One document per bill line with `line` holding its figures. Bills from before itemised tax
+// have no line netTotal, so it is rebuilt from the bill markup/discount.
+const lineStages = (createdAt) => [
+  { $match: { createdAt } },
+  { $unwind: '$items' },
+  {
+    $addFields: {
+      line: {
+        itemId: '$items.itemId',
+        taxRate: { $ifNull: ['$items.taxRate', 0] },
+        quantity: '$items.quantity',
+        refundedQuantity: { $ifNull: ['$items.refundedQuantity', 0] },
+        net: {
+          $ifNull: ['$items.netTotal', {
+            $multiply: [
+              '$items.total',
+              { $add: [1, { $divide: [{ $ifNull: ['$markup', 0] }, 100] }] },
+              { $subtract: [1, { $divide: [{ $ifNull: ['$discount', 0] }, 100] }] },
+            ],
+          }],
+        },
+        tax: { $ifNull: ['$items.taxAmount', 0] },
+        cost: { $ifNull: ['$items.totalCost', { $multiply: ['$items.quantity', '$items.unitCost'] }] },
+      },
+    },
+  },
+  {
+    $addFields: {
+      'line.kept': {
+        $cond: [
+          { $gt: ['$line.quantity', 0] },
+          { $divide: [{ $subtract: ['$line.quantity', '$line.refundedQuantity'] }, '$line.quantity'] },
+          1,
+        ],
+      },
+    },
+  },
+];
+
+// $group accumulators shared by the line-level reports
+const lineTotals = {
+  quantity: { $sum: '$line.quantity' },
+  refundedQuantity: { $sum: '$line.refundedQuantity' },
+  grossSales: { $sum: '$line.net' },
+  netSales: { $sum: { $multiply: ['$line.net', '$line.kept'] } },
+  tax: { $sum: { $multiply: ['$line.tax', '$line.kept'] } },
+  cost: { $sum: { $multiply: ['$line.cost', '$line.kept'] } },
+};
+
+// Rounds the money fields and adds quantity/margin figures to a line-level row
+const finishLineRow = ({ _id, ...row }) => {
+  const netSales = round2(row.netSales);
+  const cost = round2(row.cost);
+  return {
+    ...row,
+    netQuantity: row.quantity - row.refundedQuantity,
+    grossSales: round2(row.grossSales),
+    refunds: round2(row.grossSales - row.netSales),
+    netSales,
+    tax: round2(row.tax),
+    cost,
+    margin: round2(netSales - cost),
+    marginPercent: netSales ? round2((netSales - cost) / netSales * 100) : 0,
+  };
+};
+
+// Sales per period. Amounts are what was billed; refundedTotal shows what was given back since.
+const buildSalesReport = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    { $match: { createdAt: window.createdAt } },
+    {
+      $addFields: {
+        billCost: {
+          $ifNull: ['$grandTotalCost', { $sum: { $map: { input: '$items', as: 'item', in: { $multiply: ['$$item.quantity', '$$item.unitCost'] } } } }],
+        },
+        billTax: { $ifNull: ['$taxTotal', 0] },
+      },
+    },
+    {
+      $group: {
+        _id: periodKey(window.period),
+        totalSales: { $sum: '$grandTotal' },
+        totalTax: { $sum: '$billTax' },
+        totalCost: { $sum: '$billCost' },
+        refundedTotal: { $sum: { $ifNull: ['$refundedTotal', 0] } },
+        creditSales: { $sum: { $cond: [{ $eq: ['$paymentType', 'credit'] }, '$grandTotal', 0] } },
+        billCount: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(row => ({
+    period: row._id,
+    totalSales: round2(row.totalSales),
+    totalCost: round2(row.totalCost),
+    // Tax is collected for the government, so it is not profit
+    totalProfit: round2(row.totalSales - row.totalTax - row.totalCost),
+    totalTax: round2(row.totalTax),
+    refundedTotal: round2(row.refundedTotal),
+    creditSales: round2(row.creditSales),
+    billCount: row.billCount,
+  }));
+};
+
+const buildSalesByItem = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    ...lineStages(window.createdAt),
+    { $group: { _id: '$line.itemId', ...lineTotals } },
+    { $lookup: { from: 'items', localField: '_id', foreignField: '_id', as: 'item' } },
+    { $addFields: { item: { $first: '$item' } } },
+  ]);
+  const items = rows.map(({ item, ...row }) => ({
+    itemId: row._id,
+    name: item?.name || 'Deleted item',
+    type: item?.type,
+    size: item?.size,
+    barcode: item?.barcode,
+    ...finishLineRow(row),
+  }));
+  items.sort((a, b) => b.netSales - a.netSales);
+  return { ...windowInfo(window), items };
+};
+
+// ?groupBy=type for one row per type, otherwise one per type and size
+const buildSalesByCategory = async (query) => {
+  const window = reportWindow(query);
+  const byTypeOnly = query.groupBy === 'type';
+  const rows = await Bill.aggregate([
+    ...lineStages(window.createdAt),
+    { $lookup: { from: 'items', localField: 'line.itemId', foreignField: '_id', as: 'item' } },
+    { $addFields: { item: { $first: '$item' } } },
+    {
+      $group: {
+        _id: byTypeOnly ? { type: '$item.type' } : { type: '$item.type', size: '$item.size' },
+        ...lineTotals,
+      },
+    },
+  ]);
+  const categories = rows.map(row => ({
+    type: row._id.type ?? null,
+    ...(byTypeOnly ? {} : { size: row._id.size ?? null }),
+    ...finishLineRow(row),
+  }));
+  categories.sort((a, b) => b.netSales - a.netSales);
+  return { ...windowInfo(window), groupBy: byTypeOnly ? 'type' : 'typeSize', categories };
+};
+
+const buildSalesByCustomer = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    { $match: { createdAt: window.createdAt } },
+    {
+      $group: {
+        _id: '$customerId',
+        billCount: { $sum: 1 },
+        totalSales: { $sum: '$grandTotal' },
+        totalTax: { $sum: { $ifNull: ['$taxTotal', 0] } },
+        refundedTotal: { $sum: { $ifNull: ['$refundedTotal', 0] } },
+        creditSales: { $sum: { $cond: [{ $eq: ['$paymentType', 'credit'] }, '$grandTotal', 0] } },
+        amountDue: { $sum: { $ifNull: ['$amountDue', 0] } },
+        lastBillAt: { $max: '$createdAt' },
+      },
+    },
+    { $lookup: { from: 'customers', localField: '_id', foreignField: '_id', as: 'customer' } },
+    { $addFields: { customer: { $first: '$customer' } } },
+  ]);
+  const customers = rows.map(row => ({
+    customerId: row._id,
+    name: row.customer?.name || 'Deleted customer',
+    accountNumber: row.customer?.accountNumber,
+    billCount: row.billCount,
+    totalSales: round2(row.totalSales),
+    totalTax: round2(row.totalTax),
+    refundedTotal: round2(row.refundedTotal),
+    netSales: round2(row.totalSales - row.refundedTotal),
+    creditSales: round2(row.creditSales),
+    amountDue: round2(row.amountDue),
+    lastBillAt: row.lastBillAt,
+  }));
+  customers.sort((a, b) => b.netSales - a.netSales);
+  return { ...windowInfo(window), customers };
+};
+
+// Tax collected per rate, less the tax handed back on refunds
+const buildTaxLiability = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    ...lineStages(window.createdAt),
+    {
+      $group: {
+        _id: '$line.taxRate',
+        taxableSales: { $sum: { $multiply: ['$line.net', '$line.kept'] } },
+        taxCollected: { $sum: '$line.tax' },
+        taxLiability: { $sum: { $multiply: ['$line.tax', '$line.kept'] } },
+        lineCount: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  const rates = rows.map(row => ({
+    rate: row._id,
+    taxableSales: round2(row.taxableSales),
+    taxCollected: round2(row.taxCollected),
+    taxRefunded: round2(row.taxCollected - row.taxLiability),
+    taxLiability: round2(row.taxLiability),
+    lineCount: row.lineCount,
+  }));
+  const sum = (field) => round2(rates.reduce((acc, row) => acc + row[field], 0));
+  return {
+    ...windowInfo(window),
+    rates,
+    totals: {
+      taxableSales: sum('taxableSales'),
+      taxCollected: sum('taxCollected'),
+      taxRefunded: sum('taxRefunded'),
+      taxLiability: sum('taxLiability'),
+    },
+  };
+};
+
+// Revenue (excluding tax) against cost of goods per period, both net of refunds
+const buildMarginReport = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    ...lineStages(window.createdAt),
+    { $group: { _id: periodKey(window.period), ...lineTotals } },
+    { $sort: { _id: 1 } },
+  ]);
+  const periods = rows.map(row => ({ period: row._id, ...finishLineRow(row) }));
+  const totals = finishLineRow(periods.reduce((acc, row) => {
+    for (const field of Object.keys(lineTotals)) acc[field] += row[field];
+    return acc;
+  }, { quantity: 0, refundedQuantity: 0, grossSales: 0, netSales: 0, tax: 0, cost: 0 }));
+  return { ...windowInfo(window), periods, totals };
+};
+
+// Best sellers by net quantity (or ?by=revenue) and the slowest active items,
+// including those that did not sell at all in the window. ?limit=10
+const buildMovers = async (query) => {
+  const window = reportWindow(query);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100);
+  const by = query.by || 'quantity';
+  if (!['quantity', 'revenue'].includes(by)) throw badRequest('by must be quantity or revenue');
+
+  const [items, sales] = await Promise.all([
+    Item.find({ archived: { $ne: true } }).lean(),
+    Bill.aggregate([
+      ...lineStages(window.createdAt),
+      { $group: { _id: '$line.itemId', ...lineTotals, lastSoldAt: { $max: '$createdAt' } } },
+    ]),
+  ]);
+  const salesById = new Map(sales.map(sale => [sale._id.toString(), sale]));
+
+  const rows = items.map(item => {
+    const sale = salesById.get(item._id.toString());
+    const totals = finishLineRow(sale || { quantity: 0, refundedQuantity: 0, grossSales: 0, netSales: 0, tax: 0, cost: 0 });
+    return {
+      itemId: item._id,
+      name: item.name,
+      type: item.type,
+      size: item.size,
+      stock: item.stock,
+      netQuantity: totals.netQuantity,
+      netSales: totals.netSales,
+      margin: totals.margin,
+      lastSoldAt: sale?.lastSoldAt || null,
+    };
+  });
+
+  const key = by === 'revenue' ? 'netSales' : 'netQuantity';
+  const topSellers = rows.filter(row => row[key] > 0).sort((a, b) => b[key] - a[key]).slice(0, limit);
+  // Slowest first; among equals, the most stock on the shelf is the bigger problem
+  const slowMovers = [...rows].sort((a, b) => a[key] - b[key] || b.stock - a.stock).slice(0, limit);
+  return { ...windowInfo(window), by, limit, topSellers, slowMovers };
+};
+
+// Discount given by each promotion, from the promotions recorded on bill lines
+const buildPromotionReport = async (query) => {
+  const window = reportWindow(query);
+  const rows = await Bill.aggregate([
+    { $match: { createdAt: window.createdAt, 'items.promotions.0': { $exists: true } } },
+    { $unwind: '$items' },
+    { $unwind: '$items.promotions' },
+    {
+      $group: {
+        _id: '$items.promotions.promotionId',
+        name: { $last: '$items.promotions.name' },
+        discount: { $sum: '$items.promotions.amount' },
+        bills: { $addToSet: '$_id' },
+        lineCount: { $sum: 1 },
+      },
+    },
+    { $lookup: { from: 'promotions', localField: '_id', foreignField: '_id', as: 'promotion' } },
+    { $addFields: { promotion: { $first: '$promotion' } } },
+  ]);
+  const promotions = rows.map(row => ({
+    promotionId: row._id,
+    name: row.promotion?.name || row.name,
+    type: row.promotion?.type,
+    couponCode: row.promotion?.couponCode,
+    discount: round2(row.discount),
+    billCount: row.bills.length,
+    lineCount: row.lineCount,
+  }));
+  promotions.sort((a, b) => b.discount - a.discount);
+  return { ...windowInfo(window), promotions, totalDiscount: round2(promotions.reduce((acc, row) => acc + row.discount, 0)) };
+};
+
+module.exports = {
+  buildSalesReport,
+  buildSalesByItem,
+  buildSalesByCategory,
+  buildSalesByCustomer,
+  buildTaxLiability,
+  buildMarginReport,
+  buildMovers,
+  buildPromotionReport,
+};
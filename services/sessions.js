@@ -0,0 +1,76 @@
+// services/sessions.js
+// Short-lived access JWTs backed by server-side sessions with rotating refresh tokens.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, role: user.role, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Starts a new session for a successful login
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+  return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+// Swaps a refresh token for a new pair. Returns null when the token is unknown,
+// expired or revoked. Presenting an already-rotated token revokes the whole session.
+const rotateSession = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({ $or: [{ refreshTokenHash: hash }, { usedTokenHashes: hash }] });
+  if (!session || session.revokedAt) return null;
+
+  if (session.refreshTokenHash !== hash) {
+    await revokeSession(session._id, 'refresh token reused');
+    return null;
+  }
+  if (session.expiresAt < new Date()) return null;
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.active) {
+    await revokeSession(session._id, 'user disabled');
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  // Conditional on the old hash so two parallel refreshes with the same token can't both win
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+      $push: { usedTokenHashes: hash },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+  return { token: signAccessToken(user, updated), refreshToken: nextToken, user, session: updated };
+};
+
+const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+const revokeAllSessions = (userId, reason = 'logout all') =>
+  Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+const isSessionActive = async (sessionId) =>
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+module.exports = { createSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive };
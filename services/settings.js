@@ -0,0 +1,40 @@
+// services/settings.js
+// Shop details printed on invoices and receipts. Environment variables give the defaults
+// until an admin saves the shop profile through /api/settings/shop.
+const Setting = require('../models/Setting');
+
+const SHOP_FIELDS = ['name', 'address', 'phone', 'email', 'taxId', 'footer'];
+
+const SHOP_DEFAULTS = {
+  name: process.env.SHOP_NAME || 'Billing System',
+  address: process.env.SHOP_ADDRESS || '',
+  phone: process.env.SHOP_PHONE || '',
+  email: process.env.SHOP_EMAIL || '',
+  taxId: process.env.SHOP_TAX_ID || '',
+  footer: process.env.RECEIPT_FOOTER || 'Thank you for your business!',
+};
+
+const getShopSettings = async () => {
+  const setting = await Setting.findOne({ key: 'shop' }).lean();
+  return { ...SHOP_DEFAULTS, ...(setting?.value || {}) };
+};
+
+// Only known fields are kept; each must be a string
+const updateShopSettings = async (updates) => {
+  const current = await getShopSettings();
+  const value = { ...current };
+  for (const field of SHOP_FIELDS) {
+    if (updates[field] === undefined) continue;
+    if (typeof updates[field] !== 'string') throw new Error(`${field} must be a string`);
+    value[field] = updates[field].trim();
+  }
+  if (!value.name) throw new Error('name required');
+  const setting = await Setting.findOneAndUpdate(
+    { key: 'shop' },
+    { value, updatedAt: new Date() },
+    { new: true, upsert: true }
+  );
+  return { before: current, after: setting };
+};
+
+module.exports = { getShopSettings, updateShopSettings, SHOP_FIELDS };
@@ -0,0 +1,80 @@
+// services/shifts.js
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Shift = require('../models/Shift');
+const { round2 } = require('./pricing');
+
+const findOpenShift = (userId) => Shift.findOne({ userId, status: 'open' });
+
+// Totals for everything recorded against a shift. Used live (X-report) and at close (Z-report).
+const buildShiftReport = async (shift) => {
+  const [bills, payments, refunds] = await Promise.all([
+    Bill.find({ shiftId: shift._id }).lean(),
+    Payment.find({ shiftId: shift._id }).lean(),
+    Refund.find({ shiftId: shift._id }).lean(),
+  ]);
+
+  const tenders = new Map();
+  for (const payment of payments) {
+    const lines = payment.tenders?.length
+      ? payment.tenders
+      : [{ method: payment.paymentMethod, kind: payment.paymentMethod === 'cash' ? 'cash' : undefined, amount: payment.amount }];
+    for (const tender of lines) {
+      const row = tenders.get(tender.method) || { method: tender.method, kind: tender.kind, total: 0, change: 0, count: 0 };
+      row.total = round2(row.total + tender.amount);
+      row.change = round2(row.change + (tender.change || 0));
+      row.count += 1;
+      tenders.set(tender.method, row);
+    }
+  }
+  const cashTaken = [...tenders.values()].filter(t => t.kind === 'cash').reduce((sum, t) => sum + t.total, 0);
+
+  // Promotions come off the lines first; the bill-level discount then applies to the rest once
+  // marked up. Bills from before promotions have no promotionDiscount of their own.
+  const promotionDiscountOf = (bill) => bill.promotionDiscount
+    ?? bill.items.reduce((sum, line) => sum + (line.promotionDiscount || 0), 0);
+  const promotions = bills.reduce((sum, bill) => sum + promotionDiscountOf(bill), 0);
+  const discounts = bills.reduce((sum, bill) => {
+    const markedUp = (bill.subtotal - promotionDiscountOf(bill)) * (1 + (bill.markup || 0) / 100);
+    return sum + markedUp * (bill.discount || 0) / 100;
+  }, 0);
+  // Line prices overridden below the list price
+  const priceOverrides = bills.reduce((sum, bill) => sum + bill.items.reduce((lineSum, line) =>
+    lineSum + Math.max(0, (line.unitPrice - line.customPrice) * line.quantity), 0), 0);
+
+  // Cash refunds come out of the drawer
+  const cashRefunds = refunds.reduce((sum, refund) => sum + (refund.paidOut || 0), 0);
+  const expectedCash = round2(shift.openingFloat + cashTaken - cashRefunds);
+
+  return {
+    shiftId: shift._id,
+    register: shift.register,
+    userId: shift.userId,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt || null,
+    openingFloat: shift.openingFloat,
+    bills: {
+      count: bills.length,
+      grossSales: round2(bills.reduce((sum, bill) => sum + bill.grandTotal, 0)),
+      tax: round2(bills.reduce((sum, bill) => sum + (bill.taxTotal || 0), 0)),
+      onAccount: round2(bills.reduce((sum, bill) => sum + Math.max(0, bill.grandTotal - (bill.partialPayment || 0)), 0)),
+    },
+    payments: {
+      count: payments.length,
+      total: round2(payments.reduce((sum, payment) => sum + payment.amount, 0)),
+    },
+    tenders: [...tenders.values()].sort((a, b) => b.total - a.total),
+    refunds: {
+      count: refunds.length,
+      total: round2(refunds.reduce((sum, refund) => sum + refund.amount, 0)),
+      paidOut: round2(cashRefunds),
+    },
+    promotions: round2(promotions),
+    discounts: round2(discounts),
+    priceOverrides: round2(priceOverrides),
+    expectedCash,
+  };
+};
+
+module.exports = { findOpenShift, buildShiftReport };
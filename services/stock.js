@@ -0,0 +1,39 @@
+// services/stock.js
+// All changes to Item.stock go through moveStock so each one leaves a StockMovement behind.
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const { notifyLowStock } = require('./notifications');
+
+// Applies a signed quantity to an item's stock and records why. Stock-reducing moves
+// only succeed while enough is on hand at write time, so concurrent sales cannot push
+// stock negative. Pass the transaction session so both writes commit together.
+const moveStock = async ({ itemId, quantity, type, sourceType, sourceId, unitCost, note, userId }, session) => {
+  const filter = { _id: itemId };
+  if (quantity < 0) filter.stock = { $gte: -quantity };
+
+  const item = await Item.findOneAndUpdate(filter, { $inc: { stock: quantity } }, { new: true, session });
+  if (!item) {
+    const exists = await Item.exists({ _id: itemId }).session(session);
+    throw new Error(exists ? `Insufficient stock for item ${itemId}` : `Item not found: ${itemId}`);
+  }
+
+  await StockMovement.create([{
+    itemId,
+    quantity,
+    type,
+    sourceType,
+    sourceId,
+    balanceAfter: item.stock,
+    unitCost,
+    note,
+    userId,
+  }], { session });
+
+  if (quantity < 0) {
+    await notifyLowStock(item, item.stock - quantity, { sourceType, sourceId }, session);
+  }
+
+  return item;
+};
+
+module.exports = { moveStock };
@@ -0,0 +1,71 @@
+// services/tenders.js
+// Validates the tenders a customer pays with and works out change for cash.
+const PaymentMethod = require('../models/PaymentMethod');
+const { round2 } = require('./pricing');
+
+// Used until the shop configures its own methods through /api/payment-methods
+const DEFAULT_PAYMENT_METHODS = [
+  { code: 'cash', name: 'Cash', kind: 'cash', requiresReference: false, active: true },
+  { code: 'card', name: 'Card', kind: 'card', requiresReference: true, active: true },
+  { code: 'bank_transfer', name: 'Bank Transfer', kind: 'bank_transfer', requiresReference: true, active: true },
+  { code: 'mobile_wallet', name: 'Mobile Wallet', kind: 'mobile_wallet', requiresReference: true, active: true },
+];
+
+const getPaymentMethods = async () => {
+  const methods = await PaymentMethod.find().lean();
+  return methods.length ? methods : DEFAULT_PAYMENT_METHODS;
+};
+
+// tenders: [{ method, amount, reference? }] as sent by the till. For cash, `amount` is what
+// the customer handed over. When a due amount is given, any excess is returned as change
+// from the cash tenders first; excess on other tenders is left as overpayment (customer credit).
+//
+// Returns { tenders, paidTotal, change } where each tender's `amount` is what was kept.
+const normalizeTenders = async (tenders, { due } = {}) => {
+  if (!Array.isArray(tenders)) throw new Error('tenders must be an array');
+  const methods = new Map((await getPaymentMethods()).map(m => [m.code, m]));
+
+  const normalized = tenders.map((tender, index) => {
+    const method = methods.get(tender.method);
+    if (!method || !method.active) throw new Error(`Tender ${index}: unknown payment method ${tender.method}`);
+    if (typeof tender.amount !== 'number' || tender.amount <= 0) throw new Error(`Tender ${index}: amount must be positive`);
+    if (method.requiresReference && !tender.reference) {
+      throw new Error(`Tender ${index}: reference required for ${method.name}`);
+    }
+    return {
+      method: method.code,
+      kind: method.kind,
+      amount: round2(tender.amount),
+      tendered: round2(tender.amount),
+      change: 0,
+      reference: tender.reference,
+    };
+  });
+
+  const tenderedTotal = round2(normalized.reduce((sum, t) => sum + t.amount, 0));
+  let change = 0;
+  if (typeof due === 'number' && tenderedTotal > due) {
+    let excess = round2(tenderedTotal - due);
+    for (const tender of normalized.filter(t => t.kind === 'cash')) {
+      const give = Math.min(excess, tender.amount);
+      tender.change = round2(give);
+      tender.amount = round2(tender.amount - give);
+      excess = round2(excess - give);
+      change = round2(change + give);
+    }
+  }
+
+  return {
+    tenders: normalized.filter(t => t.amount > 0 || t.change > 0),
+    paidTotal: round2(normalized.reduce((sum, t) => sum + t.amount, 0)),
+    change,
+  };
+};
+
+// Single method code for the Payment document: the tender's own, or 'split'
+const summaryMethod = (tenders) => {
+  const codes = [...new Set(tenders.map(t => t.method))];
+  return codes.length === 1 ? codes[0] : 'split';
+};
+
+module.exports = { DEFAULT_PAYMENT_METHODS, getPaymentMethods, normalizeTenders, summaryMethod };
@@ -0,0 +1,152 @@
+// services/webhooks.js
+// Sends queued events to registered webhooks. Each request carries
+//   X-Webhook-Signature: sha256=HMAC(secret, `${X-Webhook-Timestamp}.${body}`)
+// so receivers can check it came from us and reject old replays by the timestamp.
+// A delivery that fails is retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = Number(process.env.WEBHOOK_BACKOFF_MAX_MS) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const ATTEMPT_LOG_SIZE = 20;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 30s, 1m, 2m, 4m, ... capped at BACKOFF_MAX_MS
+const backoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const eventPayload = (event) => ({ id: event._id, type: event.type, createdAt: event.createdAt, data: event.data });
+
+// Queues the event for every active webhook subscribed to it. Runs in the dispatch
+// transaction so an event is never marked dispatched without its deliveries.
+const queueDeliveries = async (event, session) => {
+  const webhooks = await Webhook.find({ active: true, events: { $in: [event.type, '*'] } }).session(session);
+  if (!webhooks.length) return [];
+  return WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    eventId: event._id,
+    type: event.type,
+    payload: eventPayload(event),
+  })), { session });
+};
+
+const post = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'billing-system-webhooks',
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      redirect: 'manual',
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      log: { at: new Date(started), responseStatus: response.status, responseBody: text.slice(0, 1000), durationMs: Date.now() - started },
+    };
+  } catch (err) {
+    return { ok: false, log: { at: new Date(started), error: err.message, durationMs: Date.now() - started } };
+  }
+};
+
+// One attempt at a delivery this worker has locked. Returns the updated delivery.
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.active) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      status: 'failed',
+      error: 'Webhook removed or disabled',
+      lockedUntil: null,
+    }, { new: true });
+  }
+
+  const { ok, log } = await post(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    responseStatus: log.responseStatus,
+    error: ok ? null : (log.error || `HTTP ${log.responseStatus}`),
+    lockedUntil: null,
+  };
+  if (ok) {
+    Object.assign(update, { status: 'delivered', deliveredAt: new Date() });
+  } else if (attempts >= MAX_ATTEMPTS || !delivery.eventId) {
+    // Test pings are only sent once
+    update.status = 'failed';
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+  }
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $set: update,
+    $push: { attemptLog: { $each: [log], $slice: -ATTEMPT_LOG_SIZE } },
+  }, { new: true });
+};
+
+// Takes the lock on a delivery so two workers never send it at the same time
+const lockDelivery = (filter) => WebhookDelivery.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }],
+  },
+  { lockedUntil: new Date(Date.now() + TIMEOUT_MS * 2) },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Sends the deliveries that are due, oldest first
+const sendDueDeliveries = async () => {
+  let sent = 0;
+  while (sent < BATCH_SIZE) {
+    const delivery = await lockDelivery({ status: 'pending', nextAttemptAt: { $lte: new Date() } });
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    sent += 1;
+  }
+  return sent;
+};
+
+// Sends one delivery again now, whatever its status, with a fresh set of attempts.
+// Returns null when it is being sent by a worker at this moment.
+const replayDelivery = async (deliveryId) => {
+  const delivery = await lockDelivery({ _id: deliveryId });
+  if (!delivery) return null;
+  delivery.set({ status: 'pending', attempts: 0, nextAttemptAt: new Date(), replayedAt: new Date() });
+  await delivery.save();
+  return attemptDelivery(delivery);
+};
+
+// A ping to check an endpoint and its signature handling; logged like any other delivery
+const sendTestDelivery = async (webhook) => {
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    type: 'webhook.test',
+    payload: { id: null, type: 'webhook.test', createdAt: new Date(), data: { webhookId: webhook._id } },
+    lockedUntil: new Date(Date.now() + TIMEOUT_MS * 2),
+  });
+  return attemptDelivery(delivery);
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  backoffDelay,
+  queueDeliveries,
+  sendDueDeliveries,
+  replayDelivery,
+  sendTestDelivery,
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const {
+  allocatePayment,
+  releaseAllocations,
+  amountDue,
+  overpaidAmount,
+  refreshAmountDue,
+} = require('../services/allocation');
+
+const customerId = new mongoose.Types.ObjectId();
+
+const bill = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerId,
+  amountPaid: 0,
+  allocations: [],
+  status: 'pending',
+  save: async () => {},
+  ...fields,
+});
+
+const payment = (amount) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerId,
+  amount,
+  allocations: [],
+  createdAt: new Date(),
+  save: async () => {},
+});
+
+// Bill.find(...).sort(...).session(...) resolving to the given bills
+const stubOpenBills = (t, bills) => {
+  t.mock.method(Bill, 'find', () => ({ sort: () => ({ session: async () => bills }) }));
+};
+
+test('amountDue takes refunds and payments off the total', () => {
+  assert.equal(amountDue({ grandTotal: 100, refundedTotal: 20, amountPaid: 30 }), 50);
+  assert.equal(amountDue({ grandTotal: 100, partialPayment: 40 }), 60);
+  assert.equal(amountDue({ grandTotal: 100, amountPaid: 120 }), 0);
+});
+
+test('refreshAmountDue completes a pending bill once nothing is due', () => {
+  const settled = { grandTotal: 50, amountPaid: 50, status: 'pending' };
+  refreshAmountDue(settled);
+  assert.equal(settled.amountDue, 0);
+  assert.equal(settled.status, 'completed');
+});
+
+test('allocatePayment settles the oldest bills first and keeps the rest as credit', async (t) => {
+  const oldest = bill({ grandTotal: 30 });
+  const newer = bill({ grandTotal: 50 });
+  stubOpenBills(t, [oldest, newer]);
+
+  const paid = payment(100);
+  const touched = await allocatePayment(paid);
+
+  assert.deepEqual(touched, [oldest, newer]);
+  assert.deepEqual(paid.allocations.map(a => a.amount), [30, 50]);
+  assert.equal(paid.unallocatedAmount, 20);
+  assert.equal(oldest.status, 'completed');
+  assert.equal(newer.amountDue, 0);
+});
+
+test('allocatePayment leaves later bills open when the money runs out', async (t) => {
+  const oldest = bill({ grandTotal: 30 });
+  const newer = bill({ grandTotal: 50 });
+  stubOpenBills(t, [oldest, newer]);
+
+  const paid = payment(45);
+  await allocatePayment(paid);
+
+  assert.deepEqual(paid.allocations.map(a => a.amount), [30, 15]);
+  assert.equal(paid.unallocatedAmount, 0);
+  assert.equal(newer.amountDue, 35);
+  assert.equal(newer.status, 'pending');
+});
+
+test('allocatePayment refuses explicit allocations above the payment', async () => {
+  await assert.rejects(
+    allocatePayment(payment(10), { allocations: [{ billId: new mongoose.Types.ObjectId(), amount: 11 }] }),
+    /exceed the payment amount/
+  );
+});
+
+test('overpaidAmount is what was paid beyond the refunded bill, less cash already paid out', () => {
+  assert.equal(overpaidAmount({ grandTotal: 100, refundedTotal: 30, amountPaid: 100 }), 30);
+  assert.equal(overpaidAmount({ grandTotal: 100, refundedTotal: 50, amountPaid: 100, refundPaidOut: 30 }), 20);
+  assert.equal(overpaidAmount({ grandTotal: 100, refundedTotal: 30, amountPaid: 40 }), 0);
+});
+
+test('releaseAllocations turns paid money back into credit, newest allocation first', async (t) => {
+  const first = payment(60);
+  const second = payment(40);
+  const refunded = bill({ grandTotal: 100, refundedTotal: 50, amountPaid: 100 });
+  for (const [paid, amount] of [[first, 60], [second, 40]]) {
+    refunded.allocations.push({ paymentId: paid._id, amount });
+    paid.allocations.push({ billId: refunded._id, amount });
+    paid.unallocatedAmount = 0;
+  }
+  const payments = new Map([[first._id.toString(), first], [second._id.toString(), second]]);
+  t.mock.method(Payment, 'findById', (id) => ({ session: async () => payments.get(id.toString()) }));
+
+  const released = await releaseAllocations(refunded, overpaidAmount(refunded));
+
+  assert.equal(released, 50);
+  assert.equal(second.unallocatedAmount, 40);
+  assert.deepEqual(second.allocations, []);
+  assert.equal(first.unallocatedAmount, 10);
+  assert.deepEqual(first.allocations.map(a => a.amount), [50]);
+  assert.deepEqual(refunded.allocations.map(a => a.amount), [50]);
+  assert.equal(refunded.amountPaid, 50);
+  assert.equal(refunded.amountDue, 0);
+});
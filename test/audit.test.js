@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const MUTATIONS = ['post', 'put', 'patch', 'delete'];
+
+// Helpers that write the audit entry for the route that calls them
+const AUDITING_HELPERS = ['recordAudit', 'createBill', 'runImport', 'applyAdjustments', 'createVariant'];
+
+// POST routes that only compute or render something and change nothing
+const READ_ONLY = ['POST /api/bills/quote', 'POST /items/labels'];
+
+const root = path.join(__dirname, '..');
+
+// [name, handler source] for every mutation route in routes/ and server.js
+const mutationRoutes = () => {
+  const routes = [];
+  for (const file of fs.readdirSync(path.join(root, 'routes'))) {
+    const router = require(path.join(root, 'routes', file));
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const method of Object.keys(layer.route.methods).filter(m => MUTATIONS.includes(m))) {
+        routes.push([`${method.toUpperCase()} ${layer.route.path} (routes/${file})`, layer.route.stack.map(l => l.handle.toString()).join('\n')]);
+      }
+    }
+  }
+  // server.js connects and listens when required, so its routes are read from the source
+  const source = fs.readFileSync(path.join(root, 'server.js'), 'utf8');
+  for (const [handler, method, route] of source.matchAll(/^app\.(post|put|patch|delete)\('([^']+)'[\s\S]*?^\}\);/gm)) {
+    routes.push([`${method.toUpperCase()} ${route} (server.js)`, handler]);
+  }
+  return routes;
+};
+
+test('every mutation route writes an audit entry', () => {
+  const routes = mutationRoutes();
+  assert.ok(routes.length > 50);
+  const unaudited = routes
+    .filter(([name]) => !READ_ONLY.some(route => name.startsWith(`${route} `)))
+    .filter(([, source]) => !AUDITING_HELPERS.some(helper => source.includes(`${helper}(`)))
+    .map(([name]) => name);
+  assert.deepEqual(unaudited, []);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareExport } = require('../services/exports');
+
+test('prepareExport accepts fields as a list or repeated parameters', () => {
+  assert.deepEqual(prepareExport('items', { fields: 'name, barcode' }).fields, ['name', 'barcode']);
+  assert.deepEqual(prepareExport('items', { fields: ['name', 'barcode,plu'] }).fields, ['name', 'barcode', 'plu']);
+});
+
+test('prepareExport rejects unknown fields, formats and datasets with a 400', () => {
+  for (const [name, query, message] of [
+    ['items', { fields: ['name', 'nope'] }, /Unknown fields: nope/],
+    ['items', { format: 'pdf' }, /format must be one of/],
+    ['nothing', {}, /dataset must be one of/],
+    ['items', { from: '2026-01-01' }, /cannot be filtered by date/],
+  ]) {
+    assert.throws(() => prepareExport(name, query), (err) => err.status === 400 && message.test(err.message));
+  }
+});
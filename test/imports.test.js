@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const { runImport, duplicateKeyMessage } = require('../services/imports');
+
+// Item.find resolves to the existing items by barcode, and .select().lean() to the plu owners
+const stubItems = (t, { byBarcode = [], byPlu = [] }) => {
+  t.mock.method(Item, 'find', (query) => {
+    if (query.plu) return { select: () => ({ lean: async () => byPlu }) };
+    return Promise.resolve(byBarcode);
+  });
+};
+
+test('runImport reports a plu used twice in the file or by another item', async (t) => {
+  const other = new mongoose.Types.ObjectId();
+  stubItems(t, { byPlu: [{ _id: other, plu: '00042' }] });
+  const csv = [
+    'name,barcode,plu,costPrice,sellingPrice',
+    'Apples,1001,00007,1,2',
+    'Pears,1002,00007,1,2',
+    'Plums,1003,00042,1,2',
+  ].join('\n');
+
+  const report = await runImport({}, 'items', csv, { dryRun: true });
+  assert.deepEqual(report.errors.map(({ row, errors }) => [row, errors]), [
+    [3, ['plu 00007 appears more than once in the file']],
+    [4, ['plu 00042 is already used by another record']],
+  ]);
+});
+
+test('runImport lets an updated item keep its own plu', async (t) => {
+  const existing = new Item({ name: 'Plums', barcode: '1003', plu: '00042', costPrice: 1, sellingPrice: 2 });
+  stubItems(t, { byBarcode: [existing], byPlu: [{ _id: existing._id, plu: '00042' }] });
+  const csv = 'name,barcode,plu,sellingPrice\nPlums,1003,00042,3';
+
+  const report = await runImport({}, 'items', csv, { dryRun: true, upsert: true });
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.update, 1);
+});
+
+test('duplicateKeyMessage names the field and value from the index error', () => {
+  assert.equal(duplicateKeyMessage({ code: 11000, keyValue: { plu: '00042' } }), 'Duplicate plu 00042 in import');
+  assert.equal(duplicateKeyMessage({ code: 11000 }), 'Duplicate value in import');
+});
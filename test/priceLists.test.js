@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { tierFor, checkPriceList } = require('../services/priceLists');
+
+const itemId = new mongoose.Types.ObjectId();
+const other = new mongoose.Types.ObjectId();
+const list = {
+  prices: [
+    { itemId, minQuantity: 10, price: 8 },
+    { itemId, minQuantity: 1, price: 10 },
+    { itemId: other, minQuantity: 5, price: 3 },
+  ],
+};
+const priceAt = (l, id, quantity) => tierFor(l, id.toString(), quantity)?.price;
+
+test('tierFor picks the highest tier the quantity reaches', () => {
+  assert.equal(priceAt(list, itemId, 1), 10);
+  assert.equal(priceAt(list, itemId, 9.99), 10);
+  assert.equal(priceAt(list, itemId, 10), 8);
+  assert.equal(priceAt(list, itemId, 25), 8);
+});
+
+test('tierFor gives fractional quantities below 1 the base tier', () => {
+  assert.equal(priceAt(list, itemId, 0.45), 10);
+  assert.equal(priceAt({ prices: [{ itemId, price: 10 }] }, itemId, 0.45), 10);
+});
+
+test('tierFor does not price below a tier that starts above 1', () => {
+  assert.equal(priceAt(list, other, 0.45), undefined);
+  assert.equal(priceAt(list, other, 4), undefined);
+  assert.equal(priceAt(list, other, 5), 3);
+});
+
+test('checkPriceList treats a missing minQuantity as 1', () => {
+  assert.throws(
+    () => checkPriceList({ prices: [{ itemId, price: 10 }, { itemId, minQuantity: 1, price: 9 }] }),
+    (err) => err.status === 400 && /two prices for minQuantity 1/.test(err.message)
+  );
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { priceBill, round2 } = require('../services/pricing');
+
+const item = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: 'Item', costPrice: 5, sellingPrice: 10, taxRate: 0, ...fields });
+const byId = (...items) => new Map(items.map(i => [i._id.toString(), i]));
+
+test('round2 rounds half cents up', () => {
+  assert.equal(round2(1.005), 1.01);
+  assert.equal(round2(2.675), 2.68);
+  assert.equal(round2(0.1 + 0.2), 0.3);
+});
+
+test('priceBill prices lines from the catalog and rounds each line', () => {
+  const soap = item({ sellingPrice: 3.333 });
+  const pricing = priceBill([{ itemId: soap._id, quantity: 3 }], byId(soap));
+  assert.equal(pricing.items[0].total, 10);
+  assert.equal(pricing.items[0].customPrice, 3.333);
+  assert.equal(pricing.subtotal, 10);
+  assert.equal(pricing.grandTotalCost, 15);
+});
+
+test('priceBill applies markup then discount before tax', () => {
+  const a = item({ sellingPrice: 100 });
+  const pricing = priceBill([{ itemId: a._id, quantity: 1 }], byId(a), { markup: 10, discount: 10 });
+  assert.equal(pricing.netTotal, 99);
+  assert.equal(pricing.grandTotal, 99);
+});
+
+test('priceBill groups tax by rate', () => {
+  const food = item({ sellingPrice: 10, taxRate: 5 });
+  const drink = item({ sellingPrice: 20, taxRate: 17 });
+  const food2 = item({ sellingPrice: 7.99, taxRate: 5 });
+  const pricing = priceBill([
+    { itemId: food._id, quantity: 1 },
+    { itemId: drink._id, quantity: 1 },
+    { itemId: food2._id, quantity: 1 },
+  ], byId(food, drink, food2));
+
+  assert.deepEqual(pricing.taxBreakdown, [
+    { rate: 5, net: 17.99, tax: 0.9 },
+    { rate: 17, net: 20, tax: 3.4 },
+  ]);
+  assert.equal(pricing.taxTotal, 4.3);
+  assert.equal(pricing.grandTotal, 42.29);
+});
+
+test('priceBill takes line promotions off before markup and discount', () => {
+  const a = item({ sellingPrice: 50, taxRate: 10 });
+  const promotionId = new mongoose.Types.ObjectId();
+  const pricing = priceBill([{ itemId: a._id, quantity: 2 }], byId(a), {
+    discount: 10,
+    lineDiscounts: [[{ promotionId, name: 'Promo', amount: 20 }]],
+  });
+  assert.equal(pricing.items[0].promotionDiscount, 20);
+  assert.equal(pricing.items[0].netTotal, 72);
+  assert.equal(pricing.items[0].taxAmount, 7.2);
+  assert.equal(pricing.promotionDiscount, 20);
+});
+
+test('priceBill uses list prices as the unit price', () => {
+  const a = item({ sellingPrice: 10 });
+  const priceListId = new mongoose.Types.ObjectId();
+  const pricing = priceBill([{ itemId: a._id, quantity: 2 }], byId(a), {
+    listPrices: new Map([[a._id.toString(), { price: 8, priceListId }]]),
+  });
+  assert.equal(pricing.items[0].unitPrice, 8);
+  assert.equal(pricing.items[0].priceListId, priceListId);
+  assert.equal(pricing.subtotal, 16);
+});
+
+test('priceBill limits price overrides by role', () => {
+  const a = item({ sellingPrice: 100 });
+  const line = (customPrice) => [{ itemId: a._id, quantity: 1, customPrice }];
+
+  assert.equal(priceBill(line(95), byId(a), { role: 'cashier' }).items[0].customPrice, 95);
+  assert.throws(() => priceBill(line(94), byId(a), { role: 'cashier' }), /below allowed minimum of 95/);
+  assert.equal(priceBill(line(80), byId(a), { role: 'manager' }).items[0].customPrice, 80);
+  assert.throws(() => priceBill(line(79), byId(a), { role: 'manager' }), /below allowed minimum/);
+  assert.equal(priceBill(line(1), byId(a), { role: 'admin' }).items[0].customPrice, 1);
+  assert.throws(() => priceBill(line(90), byId(a), { role: 'guest' }), /cannot override prices/);
+});
+
+test('priceBill limits raised prices by role too', () => {
+  const a = item({ sellingPrice: 100 });
+  const line = (customPrice) => [{ itemId: a._id, quantity: 1, customPrice }];
+
+  assert.equal(priceBill(line(105), byId(a), { role: 'cashier' }).items[0].customPrice, 105);
+  assert.throws(() => priceBill(line(106), byId(a), { role: 'cashier' }), /above allowed maximum of 105/);
+  assert.equal(priceBill(line(120), byId(a), { role: 'manager' }).items[0].customPrice, 120);
+  assert.throws(() => priceBill(line(121), byId(a), { role: 'manager' }), /above allowed maximum/);
+  assert.throws(() => priceBill(line(110), byId(a), { role: 'guest' }), /cannot override prices/);
+  assert.equal(priceBill(line(100), byId(a), { role: 'guest' }).items[0].customPrice, 100);
+});
+
+test('priceBill rejects bad lines and percentages', () => {
+  const a = item();
+  assert.throws(() => priceBill([{ itemId: a._id, quantity: 0 }], byId(a)), /quantity must be positive/);
+  assert.throws(() => priceBill([{ itemId: new mongoose.Types.ObjectId(), quantity: 1 }], byId(a)), /Item not found/);
+  assert.throws(() => priceBill([{ itemId: a._id, quantity: 1 }], byId({ ...a, archived: true })), /archived/);
+  assert.throws(() => priceBill([{ itemId: a._id, quantity: 1 }], byId(a), { discount: 101 }), /discount must be 0–100/);
+});
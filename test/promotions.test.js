@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { priceBill } = require('../services/pricing');
+const { evaluatePromotions } = require('../services/promotions');
+
+const item = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: 'Item', type: 'soap', costPrice: 1, sellingPrice: 10, ...fields });
+const byId = (...items) => new Map(items.map(i => [i._id.toString(), i]));
+const promotion = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: fields.type, active: true, ...fields });
+const amounts = (lineDiscounts) => lineDiscounts.map(discounts => discounts.map(d => d.amount));
+
+test('buy X get Y counts all lines of an item and frees the cheapest units', () => {
+  const a = item();
+  const lines = priceBill([
+    { itemId: a._id, quantity: 2, customPrice: 12 },
+    { itemId: a._id, quantity: 2 },
+  ], byId(a), { role: 'admin' }).items;
+  const { lineDiscounts } = evaluatePromotions(lines, byId(a), [promotion({ type: 'buy_x_get_y', buyQuantity: 3, freeQuantity: 1 })]);
+  assert.deepEqual(amounts(lineDiscounts), [[], [10]]);
+});
+
+test('percent off applies only to matching items or categories', () => {
+  const soap = item({ type: 'soap' });
+  const rice = item({ type: 'rice', sellingPrice: 40 });
+  const lines = priceBill([{ itemId: soap._id, quantity: 1 }, { itemId: rice._id, quantity: 1 }], byId(soap, rice)).items;
+  const { lineDiscounts, applied } = evaluatePromotions(lines, byId(soap, rice), [
+    promotion({ type: 'percent_off', percent: 25, categories: ['rice'] }),
+  ]);
+  assert.deepEqual(amounts(lineDiscounts), [[], [10]]);
+  assert.equal(applied.length, 1);
+});
+
+test('each line gets only the better line promotion', () => {
+  const a = item();
+  const lines = priceBill([{ itemId: a._id, quantity: 4 }], byId(a)).items;
+  const small = promotion({ type: 'percent_off', percent: 10 });
+  const big = promotion({ type: 'buy_x_get_y', buyQuantity: 1, freeQuantity: 1 });
+  const { lineDiscounts, applied } = evaluatePromotions(lines, byId(a), [small, big]);
+  assert.deepEqual(amounts(lineDiscounts), [[20]]);
+  assert.deepEqual(applied, [big]);
+});
+
+test('spend thresholds are spread by line value after line promotions', () => {
+  const a = item({ sellingPrice: 30 });
+  const b = item({ sellingPrice: 10 });
+  const lines = priceBill([{ itemId: a._id, quantity: 1 }, { itemId: b._id, quantity: 3 }], byId(a, b)).items;
+  const { lineDiscounts } = evaluatePromotions(lines, byId(a, b), [
+    promotion({ type: 'percent_off', percent: 50, itemIds: [a._id] }),
+    promotion({ type: 'amount_off_threshold', amount: 5, minSpend: 40 }),
+    promotion({ type: 'amount_off_threshold', amount: 10, minSpend: 50 }),
+  ]);
+  // 15 + 30 left after the line promotion: only the 40 threshold is reached
+  assert.deepEqual(amounts(lineDiscounts), [[15, 1.67], [3.33]]);
+});
+
+test('threshold promotions never take more than was spent', () => {
+  const a = item({ sellingPrice: 3 });
+  const lines = priceBill([{ itemId: a._id, quantity: 1 }], byId(a)).items;
+  const { lineDiscounts } = evaluatePromotions(lines, byId(a), [promotion({ type: 'amount_off_threshold', amount: 5, minSpend: 0 })]);
+  assert.deepEqual(amounts(lineDiscounts), [[3]]);
+});
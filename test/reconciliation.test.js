@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const { reconcileBalances, applyAdjustments } = require('../services/reconciliation');
+
+test('reconcileBalances rejects malformed customer ids with a 400', async () => {
+  await assert.rejects(
+    reconcileBalances({ customerIds: ['nope'] }),
+    (err) => err.status === 400 && /Invalid customer ids: nope/.test(err.message)
+  );
+});
+
+test('applyAdjustments corrects the stored balance back to the documents', async (t) => {
+  const customer = new Customer({ name: 'Ann', phone: '1', accountNumber: 'A1', balance: 130 });
+  t.mock.method(mongoose.connection, 'transaction', (fn) => fn(null));
+  t.mock.method(Customer, 'findById', () => ({ session: async () => customer }));
+  const incs = [];
+  t.mock.method(Customer, 'findByIdAndUpdate', async (id, update) => {
+    incs.push(update.$inc.balance);
+    return new Customer({ ...customer.toObject(), balance: customer.balance + update.$inc.balance });
+  });
+  t.mock.method(Event, 'create', async ([doc]) => [doc]);
+  const audits = [];
+  t.mock.method(AuditLog, 'create', async ([doc]) => { audits.push(doc); return [doc]; });
+
+  const corrections = await applyAdjustments([
+    { customerId: customer._id, storedBalance: 130, expectedBalance: 100, difference: 30, ledgerDifference: 0 },
+    { customerId: customer._id, storedBalance: 100, expectedBalance: 100, difference: 0, ledgerDifference: 5 },
+  ]);
+
+  assert.deepEqual(incs, [-30]);
+  assert.deepEqual(corrections, [{ customerId: customer._id, previousBalance: 130, balance: 100 }]);
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].action, 'reconcile');
+  assert.equal(audits[0].before.balance, 130);
+  assert.equal(audits[0].after.balance, 100);
+  assert.match(audits[0].note, /130 corrected to documents 100/);
+});
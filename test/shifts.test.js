@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { buildShiftReport } = require('../services/shifts');
+
+const shift = { _id: new mongoose.Types.ObjectId(), openingFloat: 100 };
+
+const stubShift = (t, { bills = [], payments = [], refunds = [] }) => {
+  t.mock.method(Bill, 'find', () => ({ lean: async () => bills }));
+  t.mock.method(Payment, 'find', () => ({ lean: async () => payments }));
+  t.mock.method(Refund, 'find', () => ({ lean: async () => refunds }));
+};
+
+test('shift discounts count promotions and apply the bill discount after them', async (t) => {
+  stubShift(t, {
+    bills: [{
+      subtotal: 100,
+      promotionDiscount: 20,
+      markup: 10,
+      discount: 5,
+      grandTotal: 83.6,
+      items: [{ unitPrice: 10, customPrice: 10, quantity: 10, promotionDiscount: 20 }],
+    }],
+  });
+  const report = await buildShiftReport(shift);
+  assert.equal(report.promotions, 20);
+  // (100 - 20) * 1.1 * 5%
+  assert.equal(report.discounts, 4.4);
+});
+
+test('bills without a promotionDiscount total fall back to their lines', async (t) => {
+  stubShift(t, {
+    bills: [{
+      subtotal: 50,
+      discount: 10,
+      grandTotal: 40.5,
+      items: [
+        { unitPrice: 10, customPrice: 10, quantity: 3, promotionDiscount: 5 },
+        { unitPrice: 10, customPrice: 8, quantity: 2 },
+      ],
+    }],
+  });
+  const report = await buildShiftReport(shift);
+  assert.equal(report.promotions, 5);
+  assert.equal(report.discounts, 4.5);
+  assert.equal(report.priceOverrides, 4);
+});
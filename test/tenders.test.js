@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentMethod = require('../models/PaymentMethod');
+const { normalizeTenders, summaryMethod } = require('../services/tenders');
+
+// No methods configured: the defaults (cash, card, bank_transfer, mobile_wallet) apply
+const useDefaultMethods = (t) => t.mock.method(PaymentMethod, 'find', () => ({ lean: async () => [] }));
+
+test('cash over the amount due is given back as change', async (t) => {
+  useDefaultMethods(t);
+  const result = await normalizeTenders([{ method: 'cash', amount: 100 }], { due: 72.5 });
+  assert.equal(result.change, 27.5);
+  assert.equal(result.paidTotal, 72.5);
+  assert.deepEqual(result.tenders.map(({ amount, tendered, change }) => ({ amount, tendered, change })), [
+    { amount: 72.5, tendered: 100, change: 27.5 },
+  ]);
+});
+
+test('change comes from cash only; card overpayment stays as credit', async (t) => {
+  useDefaultMethods(t);
+  const result = await normalizeTenders([
+    { method: 'card', amount: 60, reference: 'AUTH1' },
+    { method: 'cash', amount: 20 },
+  ], { due: 50 });
+  assert.equal(result.change, 20);
+  assert.equal(result.paidTotal, 60);
+  assert.deepEqual(result.tenders.map(t => [t.method, t.amount, t.change]), [['card', 60, 0], ['cash', 0, 20]]);
+});
+
+test('no change is given without a due amount', async (t) => {
+  useDefaultMethods(t);
+  const result = await normalizeTenders([{ method: 'cash', amount: 40 }]);
+  assert.equal(result.change, 0);
+  assert.equal(result.paidTotal, 40);
+});
+
+test('tenders are validated against the payment methods', async (t) => {
+  useDefaultMethods(t);
+  await assert.rejects(normalizeTenders([{ method: 'cheque', amount: 5 }]), /unknown payment method cheque/);
+  await assert.rejects(normalizeTenders([{ method: 'card', amount: 5 }]), /reference required for Card/);
+  await assert.rejects(normalizeTenders([{ method: 'cash', amount: -1 }]), /amount must be positive/);
+});
+
+test('summaryMethod names split payments', () => {
+  assert.equal(summaryMethod([{ method: 'cash' }, { method: 'cash' }]), 'cash');
+  assert.equal(summaryMethod([{ method: 'cash' }, { method: 'card' }]), 'split');
+});
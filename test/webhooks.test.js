@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, backoffDelay, sendTestDelivery } = require('../services/webhooks');
+
+test('signPayload is an HMAC-SHA256 of the timestamp and body', () => {
+  const body = JSON.stringify({ id: 'e1', type: 'bill.created' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+  assert.equal(signPayload('secret', 1700000000, body), expected);
+  assert.match(expected, /^[0-9a-f]{64}$/);
+});
+
+test('deliveries carry the event, delivery id, timestamp and a signature over the body', async (t) => {
+  const webhook = { _id: new mongoose.Types.ObjectId(), url: 'https://example.test/hook', secret: 'shh', active: true };
+  let delivery;
+  t.mock.method(WebhookDelivery, 'create', async (fields) => {
+    delivery = { _id: new mongoose.Types.ObjectId(), attempts: 0, ...fields };
+    return delivery;
+  });
+  t.mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+  t.mock.method(WebhookDelivery, 'findByIdAndUpdate', async (id, update) => ({ ...delivery, ...update.$set }));
+  let request;
+  t.mock.method(global, 'fetch', async (url, options) => {
+    request = { url, ...options };
+    return { ok: true, status: 200, text: async () => 'ok' };
+  });
+
+  const result = await sendTestDelivery(webhook);
+  assert.equal(result.status, 'delivered');
+  assert.equal(request.url, webhook.url);
+
+  const { headers, body } = request;
+  assert.equal(headers['Content-Type'], 'application/json');
+  assert.equal(headers['X-Webhook-Event'], 'webhook.test');
+  assert.equal(headers['X-Webhook-Delivery'], delivery._id.toString());
+  assert.match(headers['X-Webhook-Timestamp'], /^\d+$/);
+  assert.ok(Math.abs(Number(headers['X-Webhook-Timestamp']) - Date.now() / 1000) < 60);
+  assert.equal(headers['X-Webhook-Signature'], `sha256=${signPayload('shh', headers['X-Webhook-Timestamp'], body)}`);
+  assert.equal(JSON.parse(body).type, 'webhook.test');
+});
+
+test('backoffDelay doubles from 30 seconds and is capped at 6 hours', () => {
+  assert.deepEqual([1, 2, 3, 4].map(backoffDelay), [30000, 60000, 120000, 240000]);
+  assert.equal(backoffDelay(10), 30000 * 2 ** 9);
+  assert.equal(backoffDelay(11), 6 * 60 * 60 * 1000);
+  assert.equal(backoffDelay(30), 6 * 60 * 60 * 1000);
+});